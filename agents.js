@@ -0,0 +1,72 @@
+const PLANNING_HOURS = 3;
+const HEDGE_SHARE = 0.2;
+
+function peakNetLoad(forecast, hours = PLANNING_HOURS, band = 'p50') {
+  return Math.max(0, ...forecast.slice(0, hours).map((hour) => hour.bands.netLoad[band]));
+}
+
+function hedgeBid({ forecast, priceForecast, defaultPrice }, share) {
+  const prices = priceForecast();
+  const expectedPrice = prices.length ? prices.reduce((sum, price) => sum + price, 0) / prices.length : defaultPrice;
+  const baseload = Math.min(...forecast.map((hour) => hour.netLoad));
+  return { quantity: Math.max(0, Math.floor((baseload * share) / 10) * 10), price: Math.round(expectedPrice) };
+}
+
+function commitCheapest(snapshot, requirement) {
+  const available = snapshot.units.filter((unit) => unit.status !== 'outage').sort((a, b) => a.marginalCost - b.marginalCost);
+  const wanted = new Set();
+  let capacity = 0;
+  for (const unit of available) {
+    if (capacity >= requirement) break;
+    wanted.add(unit.id);
+    capacity += unit.pmax;
+  }
+  return available
+    .filter((unit) => unit.toggleAllowed && unit.commandOn !== wanted.has(unit.id))
+    .map((unit) => ({ type: 'toggleUnit', args: [unit.id] }));
+}
+
+function storageModes(snapshot, mode) {
+  return snapshot.storage.filter((asset) => asset.setting !== mode).map((asset) => ({ type: 'setStorageMode', args: [asset.id, mode] }));
+}
+
+export const AGENTS = [
+  {
+    id: 'do-nothing',
+    name: 'Do nothing',
+    description: 'Baseline: no hedge, no unit commands, storage left on automatic.',
+    bid: ({ defaultPrice }) => ({ quantity: 0, price: defaultPrice }),
+    decide: () => []
+  },
+  {
+    id: 'greedy-merit-order',
+    name: 'Greedy merit order',
+    description: 'Commits the cheapest units that cover the forecast net-load peak and runs storage on price arbitrage.',
+    bid: (context) => hedgeBid(context, HEDGE_SHARE),
+    decide: ({ snapshot, forecast }) => [...commitCheapest(snapshot, peakNetLoad(forecast)), ...storageModes(snapshot, 'optimize')]
+  },
+  {
+    id: 'reserve-first',
+    name: 'Reserve first',
+    description: 'Covers the P90 net-load peak plus the reserve margin and the largest unit, keeping storage on automatic for reliability.',
+    bid: (context) => hedgeBid(context, HEDGE_SHARE / 2),
+    decide: ({ snapshot, forecast, reservePercent }) => {
+      const largestUnit = Math.max(0, ...snapshot.units.map((unit) => unit.pmax));
+      const requirement = peakNetLoad(forecast, PLANNING_HOURS + 1, 'p90') * (1 + reservePercent / 100) + largestUnit;
+      return [...commitCheapest(snapshot, requirement), ...storageModes(snapshot, 'auto')];
+    }
+  }
+];
+
+export function registerAgent(agent) {
+  if (!agent?.id || typeof agent.decide !== 'function') throw new Error('An agent needs an id and a decide(context) function.');
+  if (AGENTS.some((existing) => existing.id === agent.id)) throw new Error(`Agent "${agent.id}" is already registered.`);
+  AGENTS.push(agent);
+  return agent;
+}
+
+export function findAgent(id) {
+  const agent = AGENTS.find((candidate) => candidate.id === id);
+  if (!agent) throw new Error(`Unknown agent "${id}". Choose one of: ${AGENTS.map((candidate) => candidate.id).join(', ')}.`);
+  return agent;
+}
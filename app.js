@@ -1,57 +1,79 @@
 import { SimulationEngine } from './engine.js';
+import { loadLibrary, resolveScenarioSource, fetchScenario, fetchTimeSeries, prepareScenario, describeErrors } from './library.js';
+import { ScenarioEditor } from './editor.js';
+import { StudyPanel } from './study.js';
+import { AGENTS } from './agents.js';
+import { $, createEl, createSvgEl, downloadFile } from './dom.js';
 
-async function loadScenario() {
-  const resp = await fetch('scenario.json');
-  if (!resp.ok) {
-    throw new Error('Failed to load scenario.json');
-  }
-  return resp.json();
-}
+const CHECKPOINT_KEY = 'powerGridTycoon.checkpoints';
+const MAX_STORED_CHECKPOINTS = 5;
 
-function validateScenario(data) {
-  const errors = [];
-  const requiredMeta = ['region', 'seed', 'reservePercent', 'priceCap'];
-  if (!data.meta) errors.push('meta');
-  if (!data.clock) errors.push('clock');
-  if (!Array.isArray(data.zones) || data.zones.length !== 3) errors.push('zones[3]');
-  if (!Array.isArray(data.transmission) || data.transmission.length !== 2) errors.push('transmission[2]');
-  if (!Array.isArray(data.thermalUnits) || !data.thermalUnits.length) errors.push('thermalUnits');
-  if (!data.renewables) errors.push('renewables');
-  if (!data.battery) errors.push('battery');
-  if (data.meta) {
-    for (const field of requiredMeta) {
-      if (typeof data.meta[field] === 'undefined') {
-        errors.push(`meta.${field}`);
-      }
-    }
-  }
-  if (data.clock) {
-    const clockFields = ['start', 'durationHours', 'tickMinutes'];
-    for (const field of clockFields) {
-      if (!data.clock[field]) errors.push(`clock.${field}`);
-    }
-  }
-  return errors;
+const ACTION_LABELS = {
+  startRun: ([contract]) => `Run started (${contract.quantity} MW @ $${contract.price})`,
+  toggleUnit: ([unitId]) => `Toggled ${unitId}`,
+  setStorageMode: ([assetId, mode]) => `${assetId} set to ${mode}`,
+  callDemandResponse: ([programId]) => `Called ${programId}`,
+  releaseDemandResponse: ([programId]) => `Released ${programId}`,
+  applyOverrides: ([overrides]) =>
+    `Dev overrides ${Object.entries(overrides)
+      .filter(([, value]) => Number.isFinite(value))
+      .map(([key, value]) => `${key}=${value}`)
+      .join(', ')}`,
+  setSecurityConstrained: ([enabled]) => `N-1 secure dispatch ${enabled ? 'on' : 'off'}`,
+  setCommitmentPlan: () => 'Commitment plan solved',
+  setCommitmentActive: ([active]) => (active ? 'Following commitment plan' : 'Stopped following commitment plan'),
+  clearCommitmentPlan: () => 'Commitment plan cleared',
+  overrideCommitment: ([unitId, hour, on]) => `Plan override: ${unitId} hour ${hour} ${on ? 'ON' : 'OFF'}`,
+  undo: () => 'Undo',
+  redo: () => 'Redo'
+};
+
+function describeAction(action) {
+  return ACTION_LABELS[action.type]?.(action.args) ?? action.type;
 }
 
-function $(selector) {
-  return document.querySelector(selector);
+function storedCheckpoints() {
+  try {
+    return JSON.parse(localStorage.getItem(CHECKPOINT_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
 }
 
-function createEl(tag, opts = {}) {
-  const el = document.createElement(tag);
-  if (opts.className) el.className = opts.className;
-  if (opts.text) el.textContent = opts.text;
-  if (opts.html) el.innerHTML = opts.html;
-  return el;
+function layoutZones(zones, width, height) {
+  const positions = {};
+  const radius = Math.min(width, height) / 2 - 45;
+  zones.forEach((zone, idx) => {
+    if (zone.position) {
+      positions[zone.id] = { x: zone.position.x * width, y: zone.position.y * height };
+      return;
+    }
+    const angle = -Math.PI / 2 + (2 * Math.PI * idx) / zones.length;
+    positions[zone.id] = zones.length === 1 ? { x: width / 2, y: height / 2 } : { x: width / 2 + radius * Math.cos(angle), y: height / 2 + radius * Math.sin(angle) };
+  });
+  return positions;
 }
 
 function setupKeyboard(simUI) {
   document.addEventListener('keydown', (evt) => {
-    if (evt.target && ['INPUT', 'TEXTAREA'].includes(evt.target.tagName)) {
+    if (evt.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(evt.target.tagName)) {
       return;
     }
     switch (evt.key.toLowerCase()) {
+      case 'z':
+        if (!evt.ctrlKey && !evt.metaKey) break;
+        evt.preventDefault();
+        if (evt.shiftKey) {
+          simUI.handleRedo();
+        } else {
+          simUI.handleUndo();
+        }
+        break;
+      case 'y':
+        if (!evt.ctrlKey && !evt.metaKey) break;
+        evt.preventDefault();
+        simUI.handleRedo();
+        break;
       case 'p':
         simUI.handlePause();
         break;
@@ -77,37 +99,80 @@ function setupKeyboard(simUI) {
 }
 
 class SimulationUI {
-  constructor(engine, scenario) {
+  constructor(engine, scenario, { library = [], scenarioId = null } = {}) {
     this.engine = engine;
     this.scenario = scenario;
+    this.library = library;
+    this.scenarioId = scenarioId;
     this.tickTimer = null;
     this.speed = 1;
-    this.lastAction = null;
     this.eventLogEl = $('#event-log');
     this.feedbackEl = $('#action-feedback');
     this.lastEventId = null;
+    this.planRenderedHour = null;
+    this.timelineSnapshots = [];
+    this.inspectTick = null;
+    this.autopilot = null;
     this.initLayout();
     this.bindControls();
+    this.renderTimeline();
     setupKeyboard(this);
   }
 
   initLayout() {
-    const zonesContainer = $('#zones');
-    zonesContainer.innerHTML = '';
-    for (const zone of this.scenario.zones) {
-      const zoneDiv = createEl('div', { className: 'zone', html: `<h3>${zone.name}</h3><div class="zone-load">Load: 0 MW</div><div class="zone-price">Price: $0</div>` });
-      zoneDiv.dataset.zone = zone.id;
-      zonesContainer.appendChild(zoneDiv);
-    }
-    const linksContainer = $('#links');
-    linksContainer.innerHTML = '';
+    const map = $('#grid-map');
+    map.innerHTML = '';
+    const [, , width, height] = map.getAttribute('viewBox').split(' ').map(Number);
+    this.zonePositions = layoutZones(this.scenario.zones, width, height);
+    const defs = createSvgEl('defs');
+    const marker = createSvgEl('marker', { id: 'flow-arrow', viewBox: '0 0 10 10', refX: '5', refY: '5', markerWidth: '4', markerHeight: '4', orient: 'auto' });
+    marker.appendChild(createSvgEl('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: 'context-stroke' }));
+    defs.appendChild(marker);
+    map.appendChild(defs);
     for (const link of this.scenario.transmission) {
-      const linkDiv = createEl('div', { className: 'link', text: `${link.from.toUpperCase()} ↔ ${link.to.toUpperCase()} (0 MW)` });
-      linkDiv.dataset.link = link.id;
-      linksContainer.appendChild(linkDiv);
+      const from = this.zonePositions[link.from];
+      const to = this.zonePositions[link.to];
+      const group = createSvgEl('g', { class: 'link' });
+      group.dataset.link = link.id;
+      group.appendChild(createSvgEl('polyline', { points: `${from.x},${from.y} ${(from.x + to.x) / 2},${(from.y + to.y) / 2} ${to.x},${to.y}`, 'marker-mid': 'url(#flow-arrow)' }));
+      const label = createSvgEl('text', { class: 'link-label', x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 - 4, 'text-anchor': 'middle' });
+      label.textContent = `0 / ${link.limit} MW`;
+      group.appendChild(label);
+      group.appendChild(createSvgEl('title'));
+      map.appendChild(group);
+    }
+    for (const zone of this.scenario.zones) {
+      const { x, y } = this.zonePositions[zone.id];
+      const group = createSvgEl('g', { class: 'zone', transform: `translate(${x} ${y})` });
+      group.dataset.zone = zone.id;
+      group.appendChild(createSvgEl('rect', { x: -58, y: -32, width: 116, height: 64, rx: 6 }));
+      const lines = [
+        ['zone-name', zone.name],
+        ['zone-load', 'Load: 0 MW'],
+        ['zone-price', 'Price: $0'],
+        ['zone-lmp', 'E $0 | C $0 | L $0']
+      ];
+      lines.forEach(([className, text], idx) => {
+        const line = createSvgEl('text', { class: className, x: 0, y: -16 + idx * 14, 'text-anchor': 'middle' });
+        line.textContent = text;
+        group.appendChild(line);
+      });
+      map.appendChild(group);
     }
 
-    $('#scenario-meta').textContent = `${this.scenario.meta.region} | Seed ${this.scenario.meta.seed}`;
+    const forecastZone = $('#forecast-zone');
+    forecastZone.innerHTML = '';
+    forecastZone.appendChild(createEl('option', { text: 'System' }));
+    forecastZone.options[0].value = '';
+    this.scenario.zones.forEach((zone) => {
+      const option = createEl('option', { text: zone.name });
+      option.value = zone.id;
+      forecastZone.appendChild(option);
+    });
+
+    $('#scenario-meta').textContent = `${this.scenario.meta.title ?? this.scenario.meta.region} | Seed ${this.scenario.meta.seed}`;
+    this.renderBriefing();
+    this.renderScenarioPicker();
 
     const unitContainer = $('#unit-actions');
     unitContainer.innerHTML = '';
@@ -117,6 +182,38 @@ class SimulationUI {
       button.addEventListener('click', () => this.handleUnitToggle(unit.id));
       unitContainer.appendChild(button);
     }
+
+    const storageContainer = $('#storage-actions');
+    storageContainer.innerHTML = '';
+    for (const asset of this.engine.state.storage) {
+      const fieldset = createEl('fieldset');
+      fieldset.dataset.storage = asset.id;
+      fieldset.appendChild(createEl('legend', { text: `${asset.name} Mode` }));
+      ['charge', 'discharge', 'auto', 'optimize'].forEach((mode) => {
+        const label = createEl('label');
+        const input = createEl('input');
+        input.type = 'radio';
+        input.name = `storage-mode-${asset.id}`;
+        input.value = mode;
+        input.checked = mode === asset.modeSetting;
+        input.addEventListener('change', () => {
+          this.engine.setStorageMode(asset.id, mode);
+          this.renderTimeline();
+        });
+        label.append(input, ` ${mode[0].toUpperCase()}${mode.slice(1)}`);
+        fieldset.appendChild(label);
+      });
+      storageContainer.appendChild(fieldset);
+    }
+
+    const drContainer = $('#dr-actions');
+    drContainer.innerHTML = '';
+    for (const program of this.engine.state.demandResponse) {
+      const button = createEl('button', { text: program.name });
+      button.dataset.program = program.id;
+      button.addEventListener('click', () => this.handleDemandResponse(program.id));
+      drContainer.appendChild(button);
+    }
     this.updateActionAvailability();
   }
 
@@ -127,27 +224,115 @@ class SimulationUI {
     $('#reset-btn').addEventListener('click', () => this.handleReset());
     $('#speed-select').addEventListener('change', (evt) => this.updateSpeed(evt.target.value));
     $('#undo-btn').addEventListener('click', () => this.handleUndo());
+    $('#redo-btn').addEventListener('click', () => this.handleRedo());
+    $('#forecast-zone').addEventListener('change', () => this.drawForecastChart(this.lastForecast));
+    const autopilot = $('#autopilot');
+    autopilot.appendChild(createEl('option', { text: 'Manual' }));
+    autopilot.options[0].value = '';
+    AGENTS.forEach((agent) => {
+      const option = createEl('option', { text: agent.name });
+      option.value = agent.id;
+      option.title = agent.description;
+      autopilot.appendChild(option);
+    });
+    autopilot.addEventListener('change', (evt) => {
+      this.autopilot = AGENTS.find((agent) => agent.id === evt.target.value) ?? null;
+      this.showFeedback(this.autopilot ? `Autopilot: ${this.autopilot.description}` : 'Manual control.');
+    });
     $('#toggle-dev').addEventListener('click', () => $('#dev').classList.toggle('hidden'));
     $('#toggle-panels').addEventListener('click', () => {
       $('#actions').classList.toggle('hidden');
       $('#events').classList.toggle('hidden');
     });
 
-    document.querySelectorAll('input[name="battery-mode"]').forEach((input) => {
-      input.addEventListener('change', (evt) => {
-        this.engine.setBatteryMode(evt.target.value);
-      });
+    $('#security-toggle').checked = this.engine.state.security.constrained;
+    $('#security-toggle').addEventListener('change', (evt) => {
+      this.engine.setSecurityConstrained(evt.target.checked);
+      this.renderTimeline();
+    });
+
+    $('#solve-plan-btn').addEventListener('click', () => this.handleSolvePlan());
+    $('#follow-plan').addEventListener('change', (evt) => {
+      this.engine.setCommitmentActive(evt.target.checked);
+      this.renderPlan();
+      this.renderTimeline();
+    });
+    $('#plan-grid').addEventListener('click', (evt) => {
+      const cell = evt.target.closest('td[data-hour]');
+      if (cell) this.handlePlanOverride(cell.dataset.unit, Number(cell.dataset.hour));
+    });
+
+    $('#scenario-select').addEventListener('change', (evt) => this.selectScenario(evt.target.value));
+    document.addEventListener('dragover', (evt) => evt.preventDefault());
+    document.addEventListener('drop', (evt) => {
+      evt.preventDefault();
+      const file = evt.dataTransfer?.files[0];
+      if (file) this.loadScenarioFile(file);
+    });
+
+    $('#checkpoint-save').addEventListener('click', () => this.saveCheckpoint());
+    $('#checkpoint-load').addEventListener('click', () => {
+      const entry = storedCheckpoints().find((item) => item.name === $('#checkpoint-list').value);
+      if (entry) this.restoreCheckpoint(entry.checkpoint);
+    });
+    $('#checkpoint-download').addEventListener('click', () => {
+      const checkpoint = this.createCheckpoint();
+      downloadFile(`checkpoint-${this.engine.state.tickIndex}.json`, JSON.stringify(checkpoint), 'application/json');
+    });
+    $('#checkpoint-file').addEventListener('change', async (evt) => {
+      const file = evt.target.files[0];
+      if (!file) return;
+      try {
+        this.restoreCheckpoint(JSON.parse(await file.text()));
+      } catch (err) {
+        this.showFeedback(`Could not load ${file.name}: ${err.message}`);
+      }
+      evt.target.value = '';
+    });
+    this.renderCheckpointList();
+
+    $('#timeline-slider').addEventListener('input', (evt) => this.inspect(Number(evt.target.value), { replay: false }));
+    $('#timeline-slider').addEventListener('change', (evt) => this.inspect(Number(evt.target.value)));
+    $('#timeline-live').addEventListener('click', () => this.backToLive());
+    $('#timeline-rewind').addEventListener('click', () => this.rewindToInspected());
+    $('#replay-export').addEventListener('click', () => {
+      const recording = { ...this.engine.exportRecording(), scenarioId: this.scenarioId };
+      downloadFile(`replay-${this.scenarioId ?? 'custom'}-seed${recording.seed}.json`, JSON.stringify(recording), 'application/json');
+    });
+    $('#replay-file').addEventListener('change', async (evt) => {
+      const file = evt.target.files[0];
+      if (!file) return;
+      try {
+        this.loadRecording(JSON.parse(await file.text()));
+      } catch (err) {
+        this.showFeedback(`Could not replay ${file.name}: ${err.message}`);
+      }
+      evt.target.value = '';
     });
 
     $('#apply-dev').addEventListener('click', () => this.applyDevOverrides());
     $('#export-csv').addEventListener('click', () => this.exportCsv());
   }
 
+  contract() {
+    if (!this.engine.preRun) {
+      const { quantity, price } = this.engine.state.dayAhead;
+      return { quantity, price };
+    }
+    return {
+      quantity: Number($('#dayahead-qty').value),
+      price: Number($('#dayahead-price').value || this.scenario.meta.dayAheadDefaultPrice)
+    };
+  }
+
   handleStart() {
-    const qty = Number($('#dayahead-qty').value);
-    const price = Number($('#dayahead-price').value || this.scenario.meta.dayAheadDefaultPrice);
+    if (this.autopilot?.bid) {
+      const bid = this.autopilot.bid(this.engine.strategyContext());
+      $('#dayahead-qty').value = bid.quantity;
+      $('#dayahead-price').value = bid.price;
+    }
     try {
-      this.engine.startRun({ quantity: qty, price });
+      this.engine.startRun(this.contract());
     } catch (err) {
       this.showFeedback(err.message);
       return;
@@ -158,6 +343,8 @@ class SimulationUI {
     $('#speed-select').disabled = false;
     $('#dayahead-qty').disabled = true;
     $('#dayahead-price').disabled = true;
+    $('#scenario-select').disabled = true;
+    $('#briefing').classList.add('hidden');
     this.feedbackEl.textContent = '';
     this.resumeTicking();
   }
@@ -172,6 +359,7 @@ class SimulationUI {
 
   handleResume() {
     if (!this.engine.canResume()) return;
+    if (this.inspectTick !== null) this.backToLive();
     this.engine.resume();
     $('#pause-btn').disabled = false;
     $('#resume-btn').disabled = true;
@@ -181,6 +369,12 @@ class SimulationUI {
   handleReset() {
     this.stopTicking();
     this.engine.reset();
+    this.timelineSnapshots = [];
+    this.inspectTick = null;
+    this.resetPanels();
+  }
+
+  resetPanels() {
     $('#start-btn').disabled = false;
     $('#pause-btn').disabled = true;
     $('#resume-btn').disabled = true;
@@ -188,22 +382,256 @@ class SimulationUI {
     $('#speed-select').disabled = true;
     $('#dayahead-qty').disabled = false;
     $('#dayahead-price').disabled = false;
-    $('#undo-btn').disabled = true;
+    $('#scenario-select').disabled = false;
+    $('#briefing').classList.remove('hidden');
     this.eventLogEl.innerHTML = '';
     $('#kpi-unmet').textContent = '0';
     $('#kpi-price').textContent = '$0';
     $('#kpi-emissions').textContent = '0';
     $('#kpi-cash').textContent = '$0';
+    $('#kpi-degradation').textContent = '$0';
+    $('#kpi-reserve-revenue').textContent = '$0';
+    $('#kpi-curtailment').textContent = '0';
+    $('#kpi-demand-response').textContent = '0 MWh';
+    $('#kpi-reserves').innerHTML = '';
+    $('#kpi-shedding').innerHTML = '';
+    $('#security-toggle').checked = this.engine.state.security.constrained;
+    $('#security-report').innerHTML = '';
     $('#scorecard').classList.add('hidden');
     $('#score-summary').innerHTML = '';
     $('#score-badges').innerHTML = '';
     this.feedbackEl.textContent = '';
     this.lastEventId = null;
+    $('#follow-plan').checked = false;
+    $('#follow-plan').disabled = true;
+    $('#plan-comparison').innerHTML = '';
+    this.renderPlan();
     this.updateActionAvailability();
-    this.updateBatteryUI();
+    this.updateStorageUI();
     this.renderTick(this.engine.currentSnapshot());
   }
 
+  syncControls() {
+    const { engine } = this;
+    this.resetPanels();
+    if (!engine.preRun) {
+      $('#start-btn').disabled = true;
+      $('#reset-btn').disabled = false;
+      $('#resume-btn').disabled = !engine.canResume();
+      $('#speed-select').disabled = false;
+      $('#dayahead-qty').value = engine.state.dayAhead.quantity;
+      $('#dayahead-price').value = engine.state.dayAhead.price;
+      $('#dayahead-qty').disabled = true;
+      $('#dayahead-price').disabled = true;
+      $('#scenario-select').disabled = true;
+      $('#briefing').classList.add('hidden');
+    }
+    $('#follow-plan').disabled = !engine.state.commitment;
+    $('#follow-plan').checked = Boolean(engine.state.commitment?.active);
+    if (engine.state.done) this.showScorecard();
+  }
+
+  adoptEngine(engine, scenarioId) {
+    this.stopTicking();
+    this.engine = engine;
+    this.scenario = engine.scenario;
+    this.scenarioId = scenarioId;
+    this.timelineSnapshots = [];
+    this.inspectTick = null;
+    this.initLayout();
+    this.syncControls();
+    this.syncLocation();
+  }
+
+  loadScenario(scenario, scenarioId = null) {
+    this.stopTicking();
+    this.scenario = scenario;
+    this.scenarioId = scenarioId;
+    this.engine = new SimulationEngine(scenario);
+    this.initLayout();
+    this.handleReset();
+    this.syncLocation();
+  }
+
+  createCheckpoint() {
+    return { ...this.engine.createCheckpoint(), scenarioId: this.scenarioId };
+  }
+
+  saveCheckpoint() {
+    const snapshot = this.engine.currentSnapshot();
+    const name = `${this.scenario.meta.title ?? this.scenario.meta.region} @ ${snapshot.dateLabel} ${snapshot.timeLabel} (tick ${this.engine.state.tickIndex})`;
+    const entries = [{ name, checkpoint: this.createCheckpoint() }, ...storedCheckpoints().filter((entry) => entry.name !== name)];
+    for (let count = Math.min(entries.length, MAX_STORED_CHECKPOINTS); count > 0; count--) {
+      try {
+        localStorage.setItem(CHECKPOINT_KEY, JSON.stringify(entries.slice(0, count)));
+        this.renderCheckpointList(name);
+        this.showFeedback(`Checkpoint saved: ${name}`);
+        return;
+      } catch (err) {
+        if (count === 1) this.showFeedback(`Checkpoint not saved: ${err.message}`);
+      }
+    }
+  }
+
+  restoreCheckpoint(checkpoint) {
+    const engine = SimulationEngine.fromCheckpoint(checkpoint);
+    this.adoptEngine(engine, checkpoint.scenarioId ?? null);
+    this.showFeedback(`Checkpoint restored at tick ${engine.state.tickIndex}.${engine.canResume() ? ' Press Resume to continue.' : ''}`);
+  }
+
+  loadRecording(recording) {
+    const engine = SimulationEngine.replay(recording, { options: {} });
+    engine.pause();
+    this.adoptEngine(engine, recording.scenarioId ?? null);
+    this.showFeedback(`Replayed ${recording.actions.length} actions to tick ${engine.state.tickIndex}. Use the timeline to inspect earlier ticks.`);
+  }
+
+  inspect(tick, { replay = true } = {}) {
+    if (tick >= this.engine.state.tickIndex) {
+      this.backToLive();
+      return;
+    }
+    this.handlePause();
+    if (!this.timelineSnapshots[tick]) {
+      // Replaying from tick 0 is slow on long runs, so wait for the slider to be released.
+      if (!replay) {
+        this.inspectTick = tick;
+        this.renderTimeline();
+        return;
+      }
+      this.timelineSnapshots[tick] = SimulationEngine.replay(this.engine.exportRecording(), { untilTick: tick }).latestSnapshot;
+    }
+    this.inspectTick = tick;
+    this.renderTick(this.timelineSnapshots[tick]);
+  }
+
+  backToLive() {
+    this.inspectTick = null;
+    this.renderTick(this.engine.currentSnapshot());
+  }
+
+  rewindToInspected() {
+    const tick = this.inspectTick;
+    if (tick === null) return;
+    const snapshots = this.timelineSnapshots.slice(0, tick + 1);
+    const engine = SimulationEngine.replay(this.engine.exportRecording(), { untilTick: tick, options: {} });
+    engine.pause();
+    this.adoptEngine(engine, this.scenarioId);
+    this.timelineSnapshots = snapshots;
+    this.renderTimeline();
+    this.showFeedback(`Run rewound to tick ${tick}; later actions were discarded.`);
+  }
+
+  renderTimeline() {
+    const tickIndex = this.engine.state.tickIndex;
+    const inspecting = this.inspectTick !== null;
+    const slider = $('#timeline-slider');
+    slider.max = tickIndex;
+    slider.value = inspecting ? this.inspectTick : tickIndex;
+    slider.disabled = tickIndex === 0;
+    const tickLabel = (tick) => this.engine.tickTime(tick).toISOString().substring(11, 16);
+    $('#timeline-label').textContent = inspecting
+      ? `Inspecting ${tickLabel(this.inspectTick)} (tick ${this.inspectTick} of ${tickIndex}), read-only`
+      : `Live at ${tickLabel(tickIndex)} (tick ${tickIndex})`;
+    $('#timeline-live').disabled = !inspecting;
+    $('#timeline-rewind').disabled = !inspecting;
+    document.body.classList.toggle('inspecting', inspecting);
+    const { actions } = this.engine.state;
+    const marks = $('#timeline-marks');
+    marks.innerHTML = '';
+    [...new Set(actions.map((action) => action.tick))].forEach((tick) => {
+      const option = createEl('option');
+      option.value = tick;
+      marks.appendChild(option);
+    });
+    const log = $('#action-log');
+    log.innerHTML = '';
+    actions.slice(-15).forEach((action) => {
+      const li = createEl('li', { text: `${tickLabel(action.tick)} (tick ${action.tick}) ${describeAction(action)}` });
+      li.classList.toggle('future', inspecting && action.tick >= this.inspectTick);
+      log.appendChild(li);
+    });
+    this.renderHistory();
+  }
+
+  syncLocation() {
+    window.history.replaceState(null, '', this.scenarioId ? `?scenario=${encodeURIComponent(this.scenarioId)}` : window.location.pathname);
+  }
+
+  renderCheckpointList(selected) {
+    const select = $('#checkpoint-list');
+    select.innerHTML = '';
+    storedCheckpoints().forEach((entry) => {
+      const option = createEl('option', { text: entry.name });
+      option.value = entry.name;
+      select.appendChild(option);
+    });
+    if (selected) select.value = selected;
+    $('#checkpoint-load').disabled = !select.options.length;
+  }
+
+  async selectScenario(id) {
+    if (!this.engine.preRun) {
+      this.showFeedback('Reset the run before switching scenarios.');
+      this.renderScenarioPicker();
+      return;
+    }
+    try {
+      const source = resolveScenarioSource(this.library, id);
+      const { scenario, errors } = prepareScenario(await fetchScenario(source.file));
+      if (errors.length) throw new Error(`Scenario validation failed: ${describeErrors(errors)}`);
+      await fetchTimeSeries(scenario, source.file);
+      this.loadScenario(scenario, source.id);
+    } catch (err) {
+      this.showFeedback(err.message);
+      this.renderScenarioPicker();
+    }
+  }
+
+  async loadScenarioFile(file) {
+    if (!this.engine.preRun) {
+      this.showFeedback('Reset the run before loading another scenario.');
+      return;
+    }
+    try {
+      const { scenario, errors } = prepareScenario(JSON.parse(await file.text()));
+      if (errors.length) throw new Error(`${file.name} failed validation: ${describeErrors(errors)}`);
+      await fetchTimeSeries(scenario);
+      this.loadScenario(scenario);
+      this.showFeedback(`Loaded ${file.name}.`);
+    } catch (err) {
+      this.showFeedback(err.message);
+    }
+  }
+
+  renderScenarioPicker() {
+    const select = $('#scenario-select');
+    select.innerHTML = '';
+    const entries = [...this.library];
+    if (!entries.some((entry) => entry.id === this.scenarioId)) {
+      entries.push({ id: this.scenarioId ?? '', title: `Custom: ${this.scenario.meta.title ?? this.scenario.meta.region}` });
+    }
+    entries.forEach((entry) => {
+      const option = createEl('option', { text: entry.title });
+      option.value = entry.id;
+      select.appendChild(option);
+    });
+    select.value = this.scenarioId ?? '';
+  }
+
+  renderBriefing() {
+    const { meta } = this.scenario;
+    $('#briefing-title').textContent = `Briefing: ${meta.title ?? meta.region}`;
+    $('#briefing-description').textContent = meta.description ?? 'No description provided for this scenario.';
+    const list = $('#briefing-objectives');
+    list.innerHTML = '';
+    (meta.objectives ?? []).forEach((objective) => list.appendChild(createEl('li', { text: objective })));
+    $('#briefing-objectives-heading').classList.toggle('hidden', !(meta.objectives ?? []).length);
+    const imported = this.engine.state.weather.imported;
+    $('#briefing-data').textContent = `Recorded data: ${imported.map((entry) => `${entry.series} (${Math.round(entry.coverage * 100)}% of the run)`).join(', ')}. Gaps outside the recordings use the synthetic weather and load model.`;
+    $('#briefing-data').classList.toggle('hidden', !imported.length);
+  }
+
   handleUnitToggle(unitId) {
     if (!this.engine.running && !this.engine.preRun) {
       this.showFeedback('Start the simulation before toggling units.');
@@ -213,31 +641,80 @@ class SimulationUI {
     if (!result.ok) {
       this.showFeedback(result.reason);
     } else {
-      this.lastAction = { type: 'unit', unitId, previous: result.previousState, tick: this.engine.state.tickIndex };
-      $('#undo-btn').disabled = false;
+      if (this.engine.state.commitment?.active) this.renderPlan();
       this.feedbackEl.textContent = '';
       this.updateActionAvailability();
       this.renderTick(this.engine.currentSnapshot());
     }
   }
 
-  handleUndo() {
-    if (!this.lastAction) return;
-    const currentHour = Math.floor(this.engine.state.tickIndex / (60 / this.engine.tickMinutes));
-    const actionHour = Math.floor(this.lastAction.tick / (60 / this.engine.tickMinutes));
-    if (currentHour !== actionHour) {
-      this.showFeedback('Undo unavailable: more than an hour has passed.');
+  handleDemandResponse(programId) {
+    if (!this.engine.running && !this.engine.preRun) {
+      this.showFeedback('Start the simulation before calling demand response.');
       return;
     }
-    if (this.lastAction.type === 'unit') {
-      this.engine.restoreUnitState(this.lastAction.unitId, this.lastAction.previous);
-      this.feedbackEl.textContent = 'Last unit action undone.';
-      $('#undo-btn').disabled = true;
+    const program = this.engine.state.demandResponse.find((p) => p.id === programId);
+    const result = program.status === 'ready' ? this.engine.callDemandResponse(programId) : this.engine.releaseDemandResponse(programId);
+    if (!result.ok) {
+      this.showFeedback(result.reason);
+    } else {
+      this.feedbackEl.textContent = '';
       this.updateActionAvailability();
-      this.renderTick(this.engine.currentSnapshot());
+      this.renderTimeline();
     }
   }
 
+  handleUndo() {
+    if (this.inspectTick !== null) return;
+    this.applyHistoryResult(this.engine.undo(), 'Undid');
+  }
+
+  handleRedo() {
+    if (this.inspectTick !== null) return;
+    this.applyHistoryResult(this.engine.redo(), 'Redid');
+  }
+
+  applyHistoryResult(result, verb) {
+    if (!result.ok) {
+      this.showFeedback(result.reason);
+      this.renderHistory();
+      return;
+    }
+    const { commitment, security } = this.engine.state;
+    $('#follow-plan').disabled = !commitment;
+    $('#follow-plan').checked = Boolean(commitment?.active);
+    $('#security-toggle').checked = security.constrained;
+    this.feedbackEl.textContent = `${verb}: ${describeAction(result.entry)}.`;
+    this.renderPlan();
+    this.updateActionAvailability();
+    this.renderTick(this.engine.currentSnapshot());
+  }
+
+  renderHistory() {
+    const { engine } = this;
+    const { undo, redo } = engine.state.history;
+    const inspecting = this.inspectTick !== null;
+    const undoBlocker = undo.length ? engine.undoBlocker(undo.at(-1)) : 'Nothing to undo.';
+    $('#undo-btn').disabled = inspecting || Boolean(undoBlocker);
+    $('#undo-btn').title = undoBlocker ?? `Undo ${describeAction(undo.at(-1))}`;
+    $('#redo-btn').disabled = inspecting || !redo.length;
+    $('#redo-btn').title = redo.length ? `Redo ${describeAction(redo.at(-1))}` : 'Nothing to redo.';
+    const list = $('#history-list');
+    list.innerHTML = '';
+    redo.forEach((entry) => {
+      list.appendChild(createEl('li', { className: 'undone', text: `${describeAction(entry)} (undone)` }));
+    });
+    [...undo].reverse().forEach((entry, idx) => {
+      const blocked = idx === 0 ? undoBlocker : null;
+      const li = createEl('li', { text: blocked ? `${describeAction(entry)} (locked: ${blocked})` : describeAction(entry) });
+      li.classList.toggle('locked', Boolean(blocked));
+      list.appendChild(li);
+    });
+    const bid = engine.state.actions.find((action) => action.type === 'startRun');
+    if (bid) list.appendChild(createEl('li', { className: 'locked', text: `${describeAction(bid)} (final: submitted bids cannot be undone)` }));
+    if (!list.children.length) list.appendChild(createEl('li', { className: 'undone', text: 'No actions yet.' }));
+  }
+
   updateSpeed(value) {
     this.speed = Number(value);
     if (this.tickTimer) {
@@ -251,7 +728,9 @@ class SimulationUI {
     const baseInterval = 500;
     const interval = baseInterval / this.speed;
     this.tickTimer = setInterval(() => {
+      if (this.autopilot && this.engine.running) this.engine.consultStrategy(this.autopilot);
       const snapshot = this.engine.step();
+      this.timelineSnapshots[this.engine.state.tickIndex] = snapshot;
       this.renderTick(snapshot);
       this.updateActionAvailability();
       if (snapshot.done) {
@@ -270,39 +749,87 @@ class SimulationUI {
 
   renderTick(snapshot) {
     if (!snapshot) return;
-    $('#clock-display').textContent = snapshot.timeLabel;
+    $('#clock-display').textContent = snapshot.multiDay ? `${snapshot.dateLabel} ${snapshot.timeLabel}` : snapshot.timeLabel;
+    $('#clock-display').title = `${snapshot.dateLabel} (${snapshot.dayType})`;
     for (const zone of snapshot.zones) {
       const zoneDiv = document.querySelector(`.zone[data-zone="${zone.id}"]`);
       if (!zoneDiv) continue;
       zoneDiv.querySelector('.zone-load').textContent = `Load: ${zone.load.toFixed(1)} MW`;
       zoneDiv.querySelector('.zone-price').textContent = `Price: $${zone.price.toFixed(1)}`;
+      zoneDiv.querySelector('.zone-lmp').textContent = `E $${zone.lmp.energy.toFixed(1)} | C $${zone.lmp.congestion.toFixed(1)} | L $${zone.lmp.loss.toFixed(1)}`;
       zoneDiv.classList.toggle('congested', zone.congested);
     }
     for (const link of snapshot.links) {
-      const linkDiv = document.querySelector(`.link[data-link="${link.id}"]`);
-      if (!linkDiv) continue;
-      const direction = link.flow >= 0 ? `${link.from.toUpperCase()} → ${link.to.toUpperCase()}` : `${link.to.toUpperCase()} → ${link.from.toUpperCase()}`;
-      linkDiv.textContent = `${direction} (${Math.abs(link.flow).toFixed(1)} / ${link.limit} MW)`;
-      linkDiv.classList.toggle('congested', link.congested);
+      const linkGroup = document.querySelector(`.link[data-link="${link.id}"]`);
+      if (!linkGroup) continue;
+      const line = linkGroup.querySelector('polyline');
+      const from = this.zonePositions[link.flow >= 0 ? link.from : link.to];
+      const to = this.zonePositions[link.flow >= 0 ? link.to : link.from];
+      line.setAttribute('points', `${from.x},${from.y} ${(from.x + to.x) / 2},${(from.y + to.y) / 2} ${to.x},${to.y}`);
+      line.setAttribute('stroke-width', 2 + 4 * Math.min(1, Math.abs(link.flow) / Math.max(1, link.limit)));
+      const inService = link.status === 'in-service';
+      linkGroup.querySelector('.link-label').textContent = inService ? `${Math.abs(link.flow).toFixed(1)} / ${link.limit.toFixed(0)} MW` : link.status === 'outage' ? 'OUT (forced)' : 'OUT (maintenance)';
+      linkGroup.classList.toggle('congested', link.congested);
+      linkGroup.classList.toggle('out-of-service', !inService);
+      linkGroup.querySelector('title').textContent = `${link.id}: rating ${(link.rating * 100).toFixed(0)}% of ${link.baseLimit} MW`;
     }
 
     $('#kpi-unmet').textContent = snapshot.kpis.unmet.toFixed(2);
     $('#kpi-price').textContent = `$${snapshot.kpis.avgPrice.toFixed(2)}`;
     $('#kpi-emissions').textContent = snapshot.kpis.emissions.toFixed(2);
     $('#kpi-cash').textContent = `$${snapshot.kpis.cash.toFixed(0)}`;
+    $('#kpi-degradation').textContent = `$${snapshot.kpis.degradationCost.toFixed(0)}`;
+    $('#kpi-reserve-revenue').textContent = `$${snapshot.kpis.reserveRevenue.toFixed(0)}`;
+    $('#kpi-curtailment').textContent = `${(snapshot.kpis.curtailedEconomic + snapshot.kpis.curtailedCongestion).toFixed(1)} (economic ${snapshot.kpis.curtailedEconomic.toFixed(1)}, congestion ${snapshot.kpis.curtailedCongestion.toFixed(1)})`;
+    $('#kpi-demand-response').textContent = `${snapshot.kpis.demandResponseMWh.toFixed(1)} MWh, $${snapshot.kpis.demandResponseCost.toFixed(0)}`;
+    const securityEl = $('#kpi-security');
+    securityEl.textContent = snapshot.security.secure ? 'Secure' : `Insecure (${snapshot.security.violations.length} violation${snapshot.security.violations.length === 1 ? '' : 's'})`;
+    securityEl.classList.toggle('error', !snapshot.security.secure);
+    securityEl.title = snapshot.security.violations
+      .map((violation) => (violation.issue === 'overload' ? `${violation.contingency}: ${violation.link} ${(violation.loading * 100).toFixed(0)}%` : `${violation.contingency}: ${violation.deficit.toFixed(0)} MW short`))
+      .join('\n');
+    const sheddingList = $('#kpi-shedding');
+    sheddingList.innerHTML = '';
+    snapshot.shedding
+      .filter((entry) => entry.blocksOut > 0)
+      .forEach((entry) => {
+        const zone = this.scenario.zones.find((z) => z.id === entry.zone);
+        const li = createEl('li', { text: `${zone.name} ${entry.customerClass}: ${entry.shedMW.toFixed(1)} MW shed, ${entry.blocksOut} of ${entry.blockCount} blocks out` });
+        li.classList.add('error');
+        sheddingList.appendChild(li);
+      });
+    const reserveList = $('#kpi-reserves');
+    reserveList.innerHTML = '';
+    snapshot.reserves.forEach((product) => {
+      const prices = Object.values(product.prices);
+      const average = prices.reduce((sum, price) => sum + price, 0) / Math.max(1, prices.length);
+      const li = createEl('li', { text: `${product.name}: $${average.toFixed(2)}/MW-h, ${product.awarded.toFixed(0)} of ${product.requirement.toFixed(0)} MW` });
+      li.classList.toggle('error', product.shortfall > 0.01);
+      reserveList.appendChild(li);
+    });
 
-    if (snapshot.lastEvent && snapshot.lastEvent.id !== this.lastEventId) {
-      this.lastEventId = snapshot.lastEvent.id;
-      const li = createEl('li', { html: `<strong>${snapshot.lastEvent.time}</strong> — ${snapshot.lastEvent.message}` });
-      this.eventLogEl.prepend(li);
-      while (this.eventLogEl.childElementCount > 50) {
-        this.eventLogEl.removeChild(this.eventLogEl.lastChild);
-      }
+    snapshot.recentEvents
+      .filter((event) => this.lastEventId === null || event.id > this.lastEventId)
+      .forEach((event) => {
+        this.lastEventId = event.id;
+        const stamp = snapshot.multiDay ? `${event.date} ${event.time}` : event.time;
+        const li = createEl('li');
+        li.append(createEl('strong', { text: stamp }), ` — ${event.message}`);
+        this.eventLogEl.prepend(li);
+      });
+    while (this.eventLogEl.childElementCount > 50) {
+      this.eventLogEl.removeChild(this.eventLogEl.lastChild);
+    }
+
+    if (snapshot.commitment && snapshot.commitment.currentHour !== this.planRenderedHour) {
+      this.renderPlan();
     }
 
     this.drawDispatchChart(snapshot.dispatchStack);
     this.drawPriceChart(snapshot.priceHistory);
-    this.updateBatteryUI();
+    this.drawForecastChart(snapshot.forecast);
+    this.updateStorageUI(snapshot);
+    this.renderTimeline();
   }
 
   drawDispatchChart(stack) {
@@ -347,7 +874,7 @@ class SimulationUI {
       ctx.fillText('No data yet', 10, canvas.height / 2);
       return;
     }
-    const colors = ['#1b9aaa', '#ef476f', '#ffd166'];
+    const colors = ['#1b9aaa', '#ef476f', '#ffd166', '#06d6a0', '#8338ec', '#f77f00'];
     const zones = this.scenario.zones.map((z, idx) => ({ id: z.id, name: z.name, color: colors[idx % colors.length] }));
     ctx.strokeStyle = '#ccc';
     ctx.beginPath();
@@ -371,20 +898,302 @@ class SimulationUI {
     });
   }
 
+  drawForecastChart(forecast) {
+    this.lastForecast = forecast;
+    const canvas = $('#forecast-chart');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!forecast) return;
+    const zoneId = $('#forecast-zone').value;
+    const pick = (hour, kind) => (zoneId ? hour.zones[zoneId]?.[kind] : hour[kind]);
+    const { dayAhead, intraday, actual } = forecast;
+    const maxValue = Math.max(1, ...dayAhead.map((hour) => pick(hour, 'load').p90), ...actual.map((hour) => pick(hour, 'load') ?? 0));
+    const plotHeight = canvas.height - 24;
+    const x = (hour) => ((hour + 0.5) / dayAhead.length) * canvas.width;
+    const y = (value) => plotHeight - (value / maxValue) * (plotHeight - 12);
+    const drawBand = (hours, kind, fill) => {
+      ctx.beginPath();
+      hours.forEach((hour, idx) => {
+        if (idx === 0) ctx.moveTo(x(hour.hour), y(pick(hour, kind).p90));
+        else ctx.lineTo(x(hour.hour), y(pick(hour, kind).p90));
+      });
+      [...hours].reverse().forEach((hour) => ctx.lineTo(x(hour.hour), y(pick(hour, kind).p10)));
+      ctx.closePath();
+      ctx.fillStyle = fill;
+      ctx.fill();
+    };
+    const drawLine = (hours, value, stroke, { dash = [], width = 1 } = {}) => {
+      ctx.beginPath();
+      hours.forEach((hour, idx) => {
+        if (idx === 0) ctx.moveTo(x(hour.hour), y(value(hour)));
+        else ctx.lineTo(x(hour.hour), y(value(hour)));
+      });
+      ctx.setLineDash(dash);
+      ctx.lineWidth = width;
+      ctx.strokeStyle = stroke;
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.lineWidth = 1;
+    };
+    const series = [
+      { kind: 'load', color: '#1b9aaa', band: 'rgba(27, 154, 170, 0.15)', rolling: 'rgba(27, 154, 170, 0.35)' },
+      { kind: 'renewable', color: '#06d6a0', band: 'rgba(6, 214, 160, 0.15)', rolling: 'rgba(6, 214, 160, 0.35)' }
+    ];
+    series.forEach(({ kind, color, band, rolling }) => {
+      drawBand(dayAhead, kind, band);
+      drawLine(dayAhead, (hour) => pick(hour, kind).p50, color, { dash: [4, 3] });
+      if (intraday.length) {
+        drawBand(intraday, kind, rolling);
+        drawLine(intraday, (hour) => pick(hour, kind).p50, color, { width: 2 });
+      }
+      if (actual.length) drawLine(actual, (hour) => pick(hour, kind), color, { width: 2 });
+    });
+    if (intraday.length) {
+      ctx.strokeStyle = '#999';
+      ctx.beginPath();
+      ctx.moveTo(x(intraday[0].hour - 0.5), 0);
+      ctx.lineTo(x(intraday[0].hour - 0.5), plotHeight);
+      ctx.stroke();
+    }
+    ctx.fillStyle = '#666';
+    ctx.font = '11px sans-serif';
+    ctx.fillText('Load and renewables (MW): shaded P10–P90, dashed day-ahead P50, bold rolling forecast and actuals', 4, canvas.height - 6);
+  }
+
+  handleSolvePlan() {
+    const plan = this.engine.solveCommitmentPlan();
+    this.engine.setCommitmentPlan(plan, { active: $('#follow-plan').checked });
+    $('#follow-plan').disabled = false;
+    this.feedbackEl.textContent = '';
+    this.renderPlan();
+    this.renderTimeline();
+  }
+
+  handlePlanOverride(unitId, hour) {
+    const currentHour = Math.floor(this.engine.state.tickIndex / this.engine.ticksPerHour);
+    if (hour < currentHour) {
+      this.showFeedback('Past hours of the plan cannot be changed.');
+      return;
+    }
+    this.engine.overrideCommitment(unitId, hour, !this.engine.plannedCommitment(unitId, hour));
+    this.renderPlan();
+    this.renderTimeline();
+  }
+
+  renderPlan() {
+    const container = $('#plan-grid');
+    const commitment = this.engine.state.commitment;
+    container.innerHTML = '';
+    if (!commitment) {
+      $('#plan-summary').textContent = 'No plan yet.';
+      this.planRenderedHour = null;
+      return;
+    }
+    const { plan } = commitment;
+    const currentHour = Math.floor(this.engine.state.tickIndex / this.engine.ticksPerHour);
+    const cost = plan.cost;
+    const overrideCount = Object.values(commitment.overrides).reduce((sum, hours) => sum + Object.keys(hours).length, 0);
+    $('#plan-summary').textContent =
+      `Projected cost $${cost.total.toFixed(0)} (energy $${cost.energy.toFixed(0)}, no-load $${cost.noLoad.toFixed(0)}, start-up $${cost.startup.toFixed(0)}, ` +
+      `unserved $${cost.unserved.toFixed(0)})${overrideCount ? ` | ${overrideCount} hour override(s)` : ''}${commitment.active ? '' : ' | not followed'}`;
+    const table = createEl('table', { className: 'plan-table' });
+    const header = createEl('tr', { html: '<th>Unit</th>' });
+    for (let hour = 0; hour < this.engine.totalHours; hour++) {
+      const label = this.engine.tickTime(hour * this.engine.ticksPerHour).toISOString().substring(11, 13);
+      const th = createEl('th', { text: label });
+      if (hour === currentHour) th.classList.add('current');
+      header.appendChild(th);
+    }
+    table.appendChild(header);
+    for (const unit of this.scenario.thermalUnits) {
+      const row = createEl('tr');
+      row.appendChild(createEl('th', { text: unit.name }));
+      for (let hour = 0; hour < this.engine.totalHours; hour++) {
+        const on = this.engine.plannedCommitment(unit.id, hour);
+        const overridden = commitment.overrides[unit.id]?.[hour] !== undefined;
+        const cell = createEl('td', { className: `plan-cell ${on ? 'on' : 'off'}` });
+        cell.classList.toggle('override', overridden);
+        cell.classList.toggle('past', hour < currentHour);
+        cell.classList.toggle('current', hour === currentHour);
+        cell.dataset.unit = unit.id;
+        cell.dataset.hour = hour;
+        cell.title = `${unit.name} hour ${hour}: ${on ? 'ON' : 'OFF'}${overridden ? ' (override)' : ''}`;
+        row.appendChild(cell);
+      }
+      table.appendChild(row);
+    }
+    container.appendChild(table);
+    this.planRenderedHour = currentHour;
+  }
+
+  renderForecastReport(report) {
+    const container = $('#forecast-report');
+    container.innerHTML = '';
+    if (!report.hours) return;
+    container.appendChild(createEl('h3', { text: `Forecast accuracy (${report.hours} h)` }));
+    const table = createEl('table', { className: 'comparison-table' });
+    table.appendChild(createEl('tr', { html: '<th>Forecast</th><th>MAE (MW)</th><th>Bias (MW)</th><th>Inside P10–P90</th>' }));
+    [
+      ['Day-ahead load', report.dayAhead.load],
+      ['Hour-ahead load', report.hourAhead.load],
+      ['Day-ahead renewables', report.dayAhead.renewable],
+      ['Hour-ahead renewables', report.hourAhead.renewable]
+    ].forEach(([label, metric]) => {
+      const row = createEl('tr');
+      [label, metric.mae.toFixed(1), `${metric.bias >= 0 ? '+' : ''}${metric.bias.toFixed(1)}`, `${(metric.coverage * 100).toFixed(0)}%`].forEach((text) =>
+        row.appendChild(createEl('td', { text }))
+      );
+      table.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  renderCurtailmentReport(report) {
+    const container = $('#curtailment-report');
+    container.innerHTML = '';
+    container.appendChild(createEl('h3', { text: 'Renewable curtailment' }));
+    const table = createEl('table', { className: 'comparison-table' });
+    table.appendChild(createEl('tr', { html: '<th>Plant</th><th>Zone</th><th>Available (MWh)</th><th>Delivered (MWh)</th><th>Economic (MWh)</th><th>Congestion (MWh)</th>' }));
+    report.plants.forEach((plant) => {
+      const row = createEl('tr');
+      [plant.name, plant.zone, plant.availableMWh.toFixed(1), plant.deliveredMWh.toFixed(1), plant.curtailed.economic.toFixed(1), plant.curtailed.congestion.toFixed(1)].forEach((text) =>
+        row.appendChild(createEl('td', { text }))
+      );
+      table.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  renderDemandResponseReport(report) {
+    const container = $('#dr-report');
+    container.innerHTML = '';
+    if (!report.programs.length) return;
+    container.appendChild(createEl('h3', { text: 'Demand response' }));
+    container.appendChild(
+      createEl('p', {
+        text: `${report.energyMWh.toFixed(1)} MWh curtailed for $${report.cost.toFixed(0)}, ${report.reboundMWh.toFixed(1)} MWh rebounded later. Without it about ${report.avoidedUnmet.toFixed(1)} MWh more load would have been shed and reliability would have been ${(report.reliabilityWithout * 100).toFixed(1)}%.`
+      })
+    );
+    const table = createEl('table', { className: 'comparison-table' });
+    table.appendChild(createEl('tr', { html: '<th>Program</th><th>Zone</th><th>Dispatch</th><th>Calls</th><th>Curtailed (MWh)</th><th>Rebound (MWh)</th><th>Cost</th>' }));
+    report.programs.forEach((program) => {
+      const row = createEl('tr');
+      [program.name, program.zone, program.dispatch, String(program.calls), program.energyMWh.toFixed(1), program.reboundMWh.toFixed(1), `$${program.cost.toFixed(0)}`].forEach((text) =>
+        row.appendChild(createEl('td', { text }))
+      );
+      table.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  renderSheddingReport(report) {
+    const container = $('#shedding-report');
+    container.innerHTML = '';
+    const shed = report.classes.filter((entry) => entry.shedMWh > 0.01);
+    if (!shed.length) return;
+    container.appendChild(createEl('h3', { text: 'Load shedding' }));
+    container.appendChild(createEl('p', { text: `Lost load valued at $${report.cost.toFixed(0)}. Classes with the lowest value of lost load were shed first, in rotating blocks.` }));
+    const table = createEl('table', { className: 'comparison-table' });
+    table.appendChild(
+      createEl('tr', { html: '<th>Zone</th><th>Class</th><th>VOLL ($/MWh)</th><th>Shed (MWh)</th><th>Hours shed</th><th>Longest block outage (h)</th><th>Block outages</th><th>Cost</th>' })
+    );
+    shed.forEach((entry) => {
+      const zone = this.scenario.zones.find((z) => z.id === entry.zone);
+      const row = createEl('tr');
+      [
+        zone.name,
+        entry.customerClass,
+        entry.voll.toFixed(0),
+        entry.shedMWh.toFixed(1),
+        entry.hours.toFixed(2),
+        entry.longestOutageHours.toFixed(2),
+        `${entry.blockOutages} across ${entry.blockCount} block${entry.blockCount === 1 ? '' : 's'}`,
+        `$${entry.cost.toFixed(0)}`
+      ].forEach((text) => row.appendChild(createEl('td', { text })));
+      table.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  renderSecurityReport(report) {
+    const container = $('#security-report');
+    container.innerHTML = '';
+    container.appendChild(createEl('h3', { text: 'N-1 Security Report' }));
+    container.appendChild(
+      createEl('p', {
+        text: `Secure ${(report.secureShare * 100).toFixed(1)}% of the run (${report.insecureHours.toFixed(1)} h insecure)${report.constrained ? ', security-constrained dispatch on' : ''}.`
+      })
+    );
+    if (!report.contingencies.length) return;
+    const table = createEl('table', { className: 'comparison-table' });
+    table.appendChild(createEl('tr', { html: '<th>Contingency</th><th>Insecure hours</th><th>Worst loading</th><th>Max deficit (MW)</th>' }));
+    report.contingencies.forEach((entry) => {
+      const row = createEl('tr');
+      [
+        `${entry.type === 'unit' ? 'Unit' : 'Link'} ${entry.name}`,
+        (entry.ticks * this.engine.tickHours).toFixed(1),
+        entry.worstLoading ? `${(entry.worstLoading * 100).toFixed(0)}%` : '–',
+        entry.maxDeficit ? entry.maxDeficit.toFixed(0) : '–'
+      ].forEach((text) => row.appendChild(createEl('td', { text })));
+      table.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  renderPlanComparison() {
+    const container = $('#plan-comparison');
+    container.innerHTML = '';
+    if (!this.engine.state.commitment) return;
+    const contract = { quantity: this.engine.state.dayAhead.quantity, price: this.engine.state.dayAhead.price };
+    const planned = this.engine.evaluateCommitmentPlan(contract);
+    const actual = { score: this.engine.computeScore(), kpis: this.engine.state.kpis };
+    const rows = [
+      ['Total score', (r) => `${(r.score.total * 100).toFixed(1)}%`],
+      ['Reliability', (r) => `${(r.score.reliability * 100).toFixed(1)}%`],
+      ['Unmet load (MWh)', (r) => r.kpis.unmet.toFixed(1)],
+      ['Cash', (r) => `$${r.kpis.cash.toFixed(0)}`],
+      ['Emissions (tCO₂)', (r) => r.kpis.emissions.toFixed(1)],
+      ['Unit starts', (r) => String(r.kpis.starts)]
+    ];
+    const table = createEl('table', { className: 'comparison-table' });
+    table.appendChild(createEl('tr', { html: '<th>Metric</th><th>Your run</th><th>Plan (automatic)</th>' }));
+    rows.forEach(([label, format]) => {
+      const row = createEl('tr');
+      [label, format(actual), format(planned)].forEach((text) => row.appendChild(createEl('td', { text })));
+      table.appendChild(row);
+    });
+    container.appendChild(createEl('h3', { text: 'Manual play vs. commitment plan' }));
+    container.appendChild(table);
+  }
+
   showFeedback(message) {
     this.feedbackEl.textContent = message;
   }
 
-  updateBatteryUI() {
-    const snapshot = this.engine.currentSnapshot();
+  updateStorageUI(snapshot = this.engine.currentSnapshot()) {
     if (!snapshot) return;
-    const batteryState = snapshot.battery;
-    let label = `Battery SOC ${(batteryState.soc * 100).toFixed(0)}%`;
-    if (batteryState.mode === 'charge') label += ' (Charging)';
-    if (batteryState.mode === 'discharge') label += ' (Discharging)';
-    if (batteryState.mode === 'idle') label += ' (Idle)';
-    $('#actions').querySelector('fieldset').dataset.status = label;
-    $('#actions').querySelector('fieldset').title = label;
+    const hourIndex = Math.floor(Math.max(0, this.engine.state.tickIndex - 1) / this.engine.ticksPerHour);
+    const kpiList = $('#kpi-storage');
+    kpiList.innerHTML = '';
+    snapshot.storage.forEach((asset) => {
+      let label = `${asset.name} SOC ${(asset.soc * 100).toFixed(0)}%`;
+      if (asset.mode === 'charge') label += ' (Charging)';
+      if (asset.mode === 'discharge') label += ' (Discharging)';
+      if (asset.mode === 'idle') label += ' (Idle)';
+      if (asset.setting === 'optimize') {
+        const planned = asset.schedule[Math.min(asset.schedule.length - 1, hourIndex)].plannedMW;
+        label += ` | Plan ${planned === null ? '–' : planned.toFixed(0)} MW this hour, target SOC ${(asset.targetSoc * 100).toFixed(0)}%`;
+      }
+      const fieldset = $('#storage-actions').querySelector(`fieldset[data-storage="${asset.id}"]`);
+      fieldset.dataset.status = label;
+      fieldset.title = label;
+      fieldset.querySelectorAll('input').forEach((input) => {
+        input.checked = input.value === asset.setting;
+      });
+      kpiList.appendChild(
+        createEl('li', { text: `${asset.name}: SOC ${(asset.soc * 100).toFixed(0)}%, ${asset.throughput.toFixed(1)} MWh cycled, degradation $${asset.degradationCost.toFixed(0)}` })
+      );
+    });
   }
 
   updateActionAvailability() {
@@ -395,14 +1204,33 @@ class SimulationUI {
       const unitId = btn.dataset.unit;
       const unit = snapshot.units.find((u) => u.id === unitId);
       if (!unit) return;
-      btn.textContent = `${unit.name} - ${unit.committed ? 'ON' : 'OFF'}`;
+      let label = unit.committed ? 'ON' : 'OFF';
+      if (unit.status === 'starting') label = `STARTING (${unit.startingHours.toFixed(2)} h)`;
+      if (unit.status === 'stopping') label = 'STOPPING';
+      if (unit.status === 'outage') label = 'OUTAGE';
+      btn.textContent = `${unit.name} - ${label}`;
       btn.disabled = !unit.toggleAllowed;
+      btn.classList.toggle('blocked', !unit.toggleAllowed);
+      btn.dataset.reason = unit.toggleAllowed ? '' : unit.toggleReason;
       if (!unit.toggleAllowed && unit.toggleReason) {
         btn.title = unit.toggleReason;
       } else {
         btn.title = '';
       }
     });
+    $('#dr-actions')
+      .querySelectorAll('button')
+      .forEach((btn) => {
+        const program = snapshot.demandResponse.find((p) => p.id === btn.dataset.program);
+        if (!program) return;
+        let label = `Call (${program.capacity} MW @ $${program.price})`;
+        if (program.status === 'notified') label = `Release (curtails in ${program.noticeHours.toFixed(2)} h)`;
+        if (program.status === 'active') label = `Release (${program.deployedMW.toFixed(0)} MW, ${program.activeHours.toFixed(2)} of ${program.maxDurationHours} h)`;
+        if (program.status === 'rebound') label = 'Recovering';
+        btn.textContent = `${program.name} - ${label}`;
+        btn.disabled = !program.callAllowed && !program.releaseAllowed;
+        btn.title = `${program.zone}, ${program.dispatch} dispatch: ${program.statusLabel}`;
+      });
   }
 
   showScorecard() {
@@ -412,6 +1240,7 @@ class SimulationUI {
       <p><strong>Reliability:</strong> ${(summary.reliability * 100).toFixed(1)}%</p>
       <p><strong>Cost Score:</strong> ${(summary.costScore * 100).toFixed(1)}%</p>
       <p><strong>Emissions Score:</strong> ${(summary.emissionsScore * 100).toFixed(1)}%</p>
+      <p><strong>Reserve Adequacy:</strong> ${(summary.reserveAdequacy * 100).toFixed(1)}% (revenue $${this.engine.state.kpis.reserveRevenue.toFixed(0)})</p>
       <p><strong>Total Score:</strong> ${(summary.total * 100).toFixed(1)}%</p>
     `;
     const badgesEl = $('#score-badges');
@@ -419,6 +1248,12 @@ class SimulationUI {
     summary.badges.forEach((badge) => {
       badgesEl.appendChild(createEl('li', { text: badge }));
     });
+    this.renderSecurityReport(summary.security);
+    this.renderForecastReport(summary.forecast);
+    this.renderCurtailmentReport(summary.curtailment);
+    this.renderDemandResponseReport(summary.demandResponse);
+    this.renderSheddingReport(summary.shedding);
+    this.renderPlanComparison();
     $('#scorecard').classList.remove('hidden');
   }
 
@@ -437,40 +1272,55 @@ class SimulationUI {
     const tx = txInput === '' ? NaN : Number(txInput);
     this.engine.applyOverrides({ gas, reserve, outage, tx });
     this.feedbackEl.textContent = 'Dev overrides applied.';
+    this.renderTimeline();
   }
 
   exportCsv() {
-    const csv = this.engine.exportCsv();
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'power-grid-tycoon-log.csv';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadFile('power-grid-tycoon-log.csv', this.engine.exportCsv(), 'text/csv');
   }
 }
 
+function showFatalError(message) {
+  $('#controls').replaceChildren(createEl('p', { className: 'error', text: message }));
+}
+
 async function init() {
   try {
-    const scenario = await loadScenario();
-    const errors = validateScenario(scenario);
+    const library = await loadLibrary();
+    const source = resolveScenarioSource(library, new URLSearchParams(window.location.search).get('scenario'));
+    const { scenario, errors } = prepareScenario(await fetchScenario(source.file));
     if (errors.length) {
-      $('#controls').innerHTML = `<p class="error">Scenario validation failed: ${errors.join(', ')}</p>`;
+      showFatalError(`Scenario validation failed: ${describeErrors(errors)}`);
       return;
     }
+    await fetchTimeSeries(scenario, source.file);
     const engine = new SimulationEngine(scenario);
-    const ui = new SimulationUI(engine, scenario);
+    const ui = new SimulationUI(engine, scenario, { library, scenarioId: source.id });
     ui.renderTick(engine.currentSnapshot());
-    window.powerGrid = { engine, ui };
+    window.powerGrid = {
+      ui,
+      get engine() {
+        return ui.engine;
+      }
+    };
+    const editor = new ScenarioEditor(scenario, {
+      onApply: (draft) => fetchTimeSeries(draft).then(() => ui.loadScenario(draft), (err) => ui.showFeedback(err.message))
+    });
+    $('#toggle-editor').addEventListener('click', () => editor.toggle(ui.scenario));
+    const study = new StudyPanel({
+      getContext: () => ({
+        scenario: ui.scenario,
+        contract: ui.contract(),
+        actions: ui.engine.state.actions.filter((action) => action.type !== 'startRun')
+      })
+    });
+    $('#toggle-study').addEventListener('click', () => study.toggle());
     window.runDeterministicTest = async () => {
-      const headlessEngine = new SimulationEngine(scenario, { headless: true });
+      const headlessEngine = new SimulationEngine(ui.scenario, { headless: true });
       return headlessEngine.runHeadless();
     };
   } catch (err) {
-    $('#controls').innerHTML = `<p class="error">${err.message}</p>`;
+    showFatalError(err.message);
   }
 }
 
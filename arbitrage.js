@@ -0,0 +1,60 @@
+const SOC_LEVELS = 48;
+
+function transition(fromSoc, toSoc, { power, eff, hours }) {
+  const delta = toSoc - fromSoc;
+  if (Math.abs(delta) < 1e-9) return 0;
+  if (delta > 0) {
+    const gridMW = delta / eff / hours;
+    return gridMW <= power + 1e-9 ? -gridMW : null;
+  }
+  const gridMW = (-delta * eff) / hours;
+  return gridMW <= power + 1e-9 ? gridMW : null;
+}
+
+export function planArbitrage({ prices, dayEnds = [], power, energyCapacity, socMWh, roundTripEff = 0.9, targetSocMWh = 0, shortfallPenalty = 1000, hours = 1 }) {
+  const horizon = prices.length;
+  const eff = Math.sqrt(roundTripEff);
+  const limits = { power, eff, hours };
+  const levels = Array.from({ length: SOC_LEVELS + 1 }, (_, i) => (energyCapacity * i) / SOC_LEVELS);
+  const terminal = (soc, h) => (dayEnds[h] || h === horizon - 1 ? -shortfallPenalty * Math.max(0, targetSocMWh - soc) : 0);
+
+  const value = Array.from({ length: horizon + 1 }, () => new Array(levels.length).fill(0));
+  const choice = Array.from({ length: horizon }, () => new Array(levels.length).fill(-1));
+  for (let h = horizon - 1; h >= 1; h--) {
+    levels.forEach((from, i) => {
+      let best = -Infinity;
+      levels.forEach((to, j) => {
+        const netMW = transition(from, to, limits);
+        if (netMW === null) return;
+        const candidate = prices[h] * netMW * hours + terminal(to, h) + value[h + 1][j];
+        if (candidate > best + 1e-9) {
+          best = candidate;
+          choice[h][i] = j;
+        }
+      });
+      value[h][i] = best;
+    });
+  }
+
+  let bestStart = { value: -Infinity, level: -1 };
+  levels.forEach((to, j) => {
+    const netMW = transition(socMWh, to, limits);
+    if (netMW === null || horizon === 0) return;
+    const candidate = prices[0] * netMW * hours + terminal(to, 0) + value[1][j];
+    if (candidate > bestStart.value + 1e-9) bestStart = { value: candidate, level: j };
+  });
+  if (bestStart.level < 0) {
+    return { schedule: prices.map(() => ({ netMW: 0, socMWh })), value: 0 };
+  }
+
+  const schedule = [];
+  let soc = socMWh;
+  let level = bestStart.level;
+  for (let h = 0; h < horizon; h++) {
+    const next = levels[level];
+    schedule.push({ netMW: transition(soc, next, limits), socMWh: next });
+    soc = next;
+    if (h + 1 < horizon) level = choice[h + 1][level];
+  }
+  return { schedule, value: bestStart.value };
+}
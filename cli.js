@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { scenarioSchema } from './schema.js';
+import { migrateScenario } from './migrate.js';
+import { validateScenario } from './validate.js';
+import { SimulationEngine } from './engine.js';
+import { STUDY_METRICS, STUDY_PERCENTILES, leaderboardCsv, runLeaderboard, runStudy, studyCsv } from './montecarlo.js';
+import { AGENTS, findAgent } from './agents.js';
+import { resolveTimeSeries } from './timeseries.js';
+
+const USAGE = `Usage:
+  node cli.js validate <scenario.json> [--json]
+  node cli.js migrate <scenario.json> [--out <file>]
+  node cli.js schema [--out <file>]
+  node cli.js run <scenario.json> [--seed <n>] [--quantity <MW>] [--price <$/MWh>] [--strategy <agent>]
+                  [--actions <actions.json|replay.json>] [--format json|csv] [--out <file>] [--ticks <file>]
+  node cli.js study <scenario.json> [--runs <n>] [--start-seed <n>] [--quantity <MW>] [--price <$/MWh>]
+                  [--strategy <agent>] [--actions <file>] [--format json|csv] [--out <file>]
+  node cli.js leaderboard <scenario.json> [--runs <n>] [--start-seed <n>] [--agents <id,id,...>]
+                  [--format json|csv] [--out <file>]
+
+Agents: ${AGENTS.map((agent) => agent.id).join(', ')}`;
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let idx = 0; idx < argv.length; idx++) {
+    const arg = argv[idx];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+    } else if (argv[idx + 1] !== undefined && !argv[idx + 1].startsWith('--')) {
+      flags[arg.slice(2)] = argv[++idx];
+    } else {
+      flags[arg.slice(2)] = true;
+    }
+  }
+  return { positional, flags };
+}
+
+async function readScenario(file) {
+  if (!file) throw new Error('A scenario file is required.');
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+function readTimeSeries(scenario, file) {
+  return resolveTimeSeries(scenario, (source) => readFile(resolve(dirname(file), source), 'utf8'));
+}
+
+async function loadScenario(file) {
+  const { scenario } = migrateScenario(await readScenario(file));
+  const errors = validateScenario(scenario);
+  if (errors.length) {
+    throw new Error(`${file} is invalid: ${errors.map((error) => `${error.path || '(root)'} ${error.message}`).join('; ')}`);
+  }
+  return readTimeSeries(scenario, file);
+}
+
+function numberFlag(flags, name) {
+  if (flags[name] === undefined) return undefined;
+  const value = Number(flags[name]);
+  if (!Number.isFinite(value)) throw new Error(`--${name} must be a number.`);
+  return value;
+}
+
+async function readScript(file) {
+  if (!file) return { start: null, actions: [] };
+  const data = JSON.parse(await readFile(file, 'utf8'));
+  const script = Array.isArray(data) ? data : data.actions;
+  if (!Array.isArray(script)) throw new Error(`${file} must be an action list or an exported replay.`);
+  script.forEach((action, idx) => {
+    if (!Number.isInteger(action.tick) || action.tick < 0 || typeof action.type !== 'string') {
+      throw new Error(`${file}: action ${idx} needs a non-negative integer "tick" and a "type".`);
+    }
+  });
+  return { start: script.find((action) => action.type === 'startRun') ?? null, actions: script.filter((action) => action.type !== 'startRun') };
+}
+
+async function runOptions(scenario, flags) {
+  const { start, actions } = await readScript(flags.actions);
+  const quantity = numberFlag(flags, 'quantity') ?? start?.args[0].quantity;
+  const price = numberFlag(flags, 'price') ?? start?.args[0].price;
+  const contract =
+    quantity === undefined && price === undefined ? undefined : { quantity: quantity ?? 0, price: price ?? scenario.meta.dayAheadDefaultPrice };
+  const strategy = flags.strategy ? findAgent(flags.strategy) : null;
+  return { contract, actions, strategy, format: formatFlag(flags) };
+}
+
+function formatFlag(flags) {
+  const format = flags.format ?? 'json';
+  if (!['json', 'csv'].includes(format)) throw new Error('--format must be json or csv.');
+  return format;
+}
+
+function seedFlags(scenario, flags, defaultRuns) {
+  const runs = numberFlag(flags, 'runs') ?? defaultRuns;
+  const startSeed = numberFlag(flags, 'start-seed') ?? scenario.meta.seed;
+  if (!Number.isInteger(runs) || runs < 1) throw new Error('--runs must be a positive integer.');
+  if (!Number.isInteger(startSeed) || startSeed < 0) throw new Error('--start-seed must be a non-negative integer.');
+  return { runs, startSeed };
+}
+
+function progress(done, total) {
+  process.stderr.write(`\rrun ${done}/${total}${done === total ? '\n' : ''}`);
+}
+
+function csvCell(value) {
+  if (typeof value !== 'string' || !/[",\n\r]/.test(value)) return value;
+  return `"${value.replace(/"/g, '""')}"`;
+}
+
+function summaryCsv(result) {
+  const rows = [
+    ['seed', result.seed],
+    ['contractQuantity', result.contract.quantity],
+    ['contractPrice', result.contract.price],
+    ...['total', 'reliability', 'costScore', 'emissionsScore', 'reserveAdequacy'].map((key) => [`score.${key}`, result.score[key]]),
+    ['score.badges', result.score.badges.join('; ')],
+    ...Object.entries(result.kpis).map(([key, value]) => [`kpi.${key}`, value])
+  ];
+  return `metric,value\n${rows.map(([key, value]) => `${key},${csvCell(value)}`).join('\n')}\n`;
+}
+
+async function output(content, file) {
+  if (file) await writeFile(file, content);
+  else process.stdout.write(content);
+}
+
+const commands = {
+  async validate([file], flags) {
+    const { scenario, fromVersion, applied } = migrateScenario(await readScenario(file));
+    const errors = validateScenario(scenario);
+    if (!errors.length) {
+      await readTimeSeries(scenario, file).catch((err) => errors.push({ path: 'timeSeries', keyword: 'source', message: err.message }));
+    }
+    if (flags.json) {
+      await output(`${JSON.stringify({ file, valid: !errors.length, fromVersion, migrations: applied, errors }, null, 2)}\n`);
+    } else {
+      applied.forEach((note) => console.log(`migrated ${note}`));
+      errors.forEach((error) => console.log(`${file}: ${error.path || '(root)'} ${error.message}`));
+      console.log(errors.length ? `${errors.length} problem(s) found.` : `${file} is valid.`);
+    }
+    return errors.length ? 1 : 0;
+  },
+
+  async migrate([file], flags) {
+    const { scenario, fromVersion, applied } = migrateScenario(await readScenario(file));
+    await output(`${JSON.stringify(scenario, null, 2)}\n`, flags.out);
+    console.error(applied.length ? `Migrated from v${fromVersion}: ${applied.join('; ')}` : `Already at v${scenario.schemaVersion}.`);
+    return 0;
+  },
+
+  async run([file], flags) {
+    const scenario = await loadScenario(file);
+    const seed = numberFlag(flags, 'seed');
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0)) throw new Error('--seed must be a non-negative integer.');
+    if (seed !== undefined) scenario.meta.seed = seed;
+    const { contract, actions, strategy, format } = await runOptions(scenario, flags);
+    const engine = new SimulationEngine(scenario, { headless: true });
+    const score = engine.runHeadless({ contract, actions, strategy });
+    const result = {
+      scenario: scenario.meta.title ?? scenario.meta.region,
+      seed: scenario.meta.seed,
+      strategy: strategy?.id ?? null,
+      contract: { quantity: engine.state.dayAhead.quantity, price: engine.state.dayAhead.price },
+      score,
+      kpis: engine.state.kpis,
+      events: engine.state.events
+    };
+    if (format === 'csv') {
+      await output(flags.ticks ? summaryCsv(result) : `${summaryCsv(result)}\n${engine.exportCsv()}`, flags.out);
+    } else {
+      await output(`${JSON.stringify({ ...result, ticks: flags.ticks ? undefined : engine.state.tickLog }, null, 2)}\n`, flags.out);
+    }
+    if (flags.ticks) await writeFile(flags.ticks, engine.exportCsv());
+    console.error(`${result.scenario} seed ${result.seed}: score ${score.total.toFixed(3)}, unmet ${engine.state.kpis.unmet.toFixed(1)} MWh.`);
+    return 0;
+  },
+
+  async study([file], flags) {
+    const scenario = await loadScenario(file);
+    const { contract, actions, strategy, format } = await runOptions(scenario, flags);
+    const { runs, startSeed } = seedFlags(scenario, flags, 100);
+    const study = await runStudy(scenario, { runs, startSeed, contract, actions, strategy, onProgress: progress });
+    if (format === 'csv') {
+      await output(studyCsv(study), flags.out);
+    } else {
+      const context = { scenario: scenario.meta.title ?? scenario.meta.region, strategy: strategy?.id ?? null, startSeed, contract };
+      await output(`${JSON.stringify({ ...context, ...study }, null, 2)}\n`, flags.out);
+    }
+    STUDY_METRICS.forEach(({ id, label, unit }) => {
+      const { mean, percentiles } = study.metrics[id];
+      const spread = STUDY_PERCENTILES.map((p) => `P${p} ${percentiles[`p${p}`].toFixed(2)}`).join(', ');
+      console.error(`${label}${unit ? ` (${unit})` : ''}: mean ${mean.toFixed(2)}; ${spread}`);
+    });
+    console.error(`EUE ${study.expectedUnservedEnergy.toFixed(1)} MWh, LOLP ${(study.lossOfLoadProbability * 100).toFixed(2)}% of ticks, LOLH ${study.lossOfLoadHours.toFixed(1)} h per run.`);
+    return 0;
+  },
+
+  async leaderboard([file], flags) {
+    const scenario = await loadScenario(file);
+    const format = formatFlag(flags);
+    const { runs, startSeed } = seedFlags(scenario, flags, 20);
+    const agents = flags.agents ? String(flags.agents).split(',').map((id) => findAgent(id.trim())) : AGENTS;
+    const leaderboard = await runLeaderboard(scenario, agents, { runs, startSeed, onProgress: progress });
+    if (format === 'csv') {
+      await output(leaderboardCsv(leaderboard), flags.out);
+    } else {
+      await output(`${JSON.stringify({ scenario: scenario.meta.title ?? scenario.meta.region, ...leaderboard }, null, 2)}\n`, flags.out);
+    }
+    leaderboard.rows.forEach((row, idx) => {
+      console.error(`${idx + 1}. ${row.name}: mean score ${row.meanScore.toFixed(3)} (P10 ${row.p10Score.toFixed(3)}, P90 ${row.p90Score.toFixed(3)}), ${row.wins} win(s)`);
+    });
+    return 0;
+  },
+
+  async schema(_, flags) {
+    await output(`${JSON.stringify(scenarioSchema, null, 2)}\n`, flags.out);
+    return 0;
+  }
+};
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(USAGE);
+    return 2;
+  }
+  const { positional, flags } = parseArgs(rest);
+  try {
+    return await commands[command](positional, flags);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,165 @@
+function averageCost(unit) {
+  return unit.marginalCost + (unit.noLoadCost || 0) / Math.max(1, unit.pmax);
+}
+
+function startupCostFor(unit, offlineHours) {
+  const thresholds = { hot: 4, warm: 12, ...unit.startupStateHours };
+  const state = offlineHours <= thresholds.hot ? 'hot' : offlineHours <= thresholds.warm ? 'warm' : 'cold';
+  return unit.startupCost?.[state] || 0;
+}
+
+function blocks(row, value) {
+  const found = [];
+  let start = -1;
+  for (let h = 0; h <= row.length; h++) {
+    const match = h < row.length && row[h] === value;
+    if (match && start < 0) start = h;
+    if (!match && start >= 0) {
+      found.push([start, h]);
+      start = -1;
+    }
+  }
+  return found;
+}
+
+export function meritOrderDispatch(units, netLoad, priceCap) {
+  const demand = Math.max(0, netLoad);
+  const sorted = units.slice().sort((a, b) => a.marginalCost - b.marginalCost || a.id.localeCompare(b.id));
+  let served = sorted.reduce((sum, unit) => sum + unit.pmin, 0);
+  let energyCost = sorted.reduce((sum, unit) => sum + unit.pmin * unit.marginalCost, 0);
+  let price = sorted.length ? sorted[0].marginalCost : 0;
+  for (const unit of sorted) {
+    if (served >= demand) break;
+    const extra = Math.min(unit.pmax - unit.pmin, demand - served);
+    served += extra;
+    energyCost += extra * unit.marginalCost;
+    price = unit.marginalCost;
+  }
+  const unserved = Math.max(0, demand - served);
+  const capacity = sorted.reduce((sum, unit) => sum + unit.pmax, 0);
+  return { energyCost, unserved, price: unserved > 0 ? priceCap : price, headroom: Math.max(0, capacity - Math.max(served, demand)) };
+}
+
+// A run too short for the minimum up time is extended through available hours, or dropped when an outage cuts it off;
+// dropped hours stay off so the minimum-down pass cannot bring the same run back.
+function enforceMinimumTimes(unit, row, available) {
+  const minUp = Math.ceil(unit.minUpHours || 0);
+  const minDown = Math.ceil(unit.minDownHours || 0);
+  const allowed = available.slice();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [start, end] of blocks(row, true)) {
+      const lockedIn = start === 0 && unit.initialOnline;
+      const required = lockedIn ? Math.max(0, minUp - unit.initialHours) : minUp;
+      if (end - start >= required || end === row.length) continue;
+      const target = Math.min(row.length, start + required);
+      let h = end;
+      while (h < target && allowed[h]) h++;
+      if (h === target) {
+        row.fill(true, end, target);
+        changed = true;
+        break;
+      }
+      if (!lockedIn) {
+        row.fill(false, start, end);
+        allowed.fill(false, start, end);
+        changed = true;
+        break;
+      }
+    }
+    if (changed) continue;
+    for (const [start, end] of blocks(row, false)) {
+      if (start === 0 || end === row.length || end - start >= minDown) continue;
+      for (let h = start; h < end; h++) {
+        if (allowed[h]) {
+          row[h] = true;
+          changed = true;
+        }
+      }
+    }
+  }
+  return row;
+}
+
+export function solveUnitCommitment({ units, hours, reserveFraction = 0, reserveShortfallCost = 0, priceCap = 1000 }) {
+  const horizon = hours.length;
+  const order = units.slice().sort((a, b) => averageCost(a) - averageCost(b) || a.id.localeCompare(b.id));
+  const availability = {};
+  units.forEach((unit) => {
+    const earliestStart = unit.initialOnline ? 0 : Math.ceil(Math.max(unit.startupLeadHours || 0, (unit.minDownHours || 0) - unit.initialHours));
+    const outageHours = Math.ceil(unit.outageHours || 0);
+    availability[unit.id] = hours.map((_, h) => h >= outageHours && (unit.initialOnline ? true : h >= earliestStart));
+  });
+
+  const evaluate = (schedule) => {
+    const totals = { energy: 0, noLoad: 0, startup: 0, unserved: 0, reserveShortfall: 0, total: 0 };
+    const prices = [];
+    units.forEach((unit) => {
+      let offlineHours = unit.initialOnline ? 0 : unit.initialHours;
+      let online = unit.initialOnline;
+      schedule[unit.id].forEach((on) => {
+        if (on && !online) totals.startup += startupCostFor(unit, offlineHours);
+        if (on) totals.noLoad += unit.noLoadCost || 0;
+        offlineHours = on ? 0 : offlineHours + 1;
+        online = on;
+      });
+    });
+    hours.forEach((hour, h) => {
+      const committed = units.filter((unit) => schedule[unit.id][h]);
+      const result = meritOrderDispatch(committed, hour.netLoad, priceCap);
+      const shortfall = Math.max(0, Math.max(0, hour.netLoad) * reserveFraction - result.headroom);
+      totals.energy += result.energyCost;
+      totals.unserved += result.unserved * priceCap;
+      totals.reserveShortfall += shortfall * reserveShortfallCost;
+      prices.push(result.price);
+    });
+    totals.total = totals.energy + totals.noLoad + totals.startup + totals.unserved + totals.reserveShortfall;
+    return { totals, prices };
+  };
+
+  const schedule = {};
+  units.forEach((unit) => {
+    schedule[unit.id] = new Array(horizon).fill(false);
+  });
+  hours.forEach((hour, h) => {
+    const requirement = Math.max(0, hour.netLoad) * (1 + reserveFraction);
+    let capacity = 0;
+    for (const unit of order) {
+      if (capacity >= requirement) break;
+      if (!availability[unit.id][h]) continue;
+      schedule[unit.id][h] = true;
+      capacity += unit.pmax;
+    }
+  });
+  units.forEach((unit) => enforceMinimumTimes(unit, schedule[unit.id], availability[unit.id]));
+
+  let best = evaluate(schedule);
+  let improved = true;
+  let passes = 0;
+  while (improved && passes++ < 50) {
+    improved = false;
+    for (const unit of order.slice().reverse()) {
+      const windows = blocks(schedule[unit.id], true).flatMap(([start, end]) => [
+        [start, end],
+        [start, start + 1],
+        [end - 1, end]
+      ]);
+      for (const [from, to] of windows) {
+        const trialRow = schedule[unit.id].slice();
+        for (let h = from; h < to; h++) trialRow[h] = false;
+        enforceMinimumTimes(unit, trialRow, availability[unit.id]);
+        if (trialRow.every((on, h) => on === schedule[unit.id][h])) continue;
+        const result = evaluate({ ...schedule, [unit.id]: trialRow });
+        if (result.totals.total < best.totals.total - 1e-6) {
+          schedule[unit.id] = trialRow;
+          best = result;
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { schedule, cost: best.totals, prices: best.prices };
+}
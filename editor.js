@@ -0,0 +1,541 @@
+import { SimulationEngine } from './engine.js';
+import { validateScenario } from './validate.js';
+import { migrateScenario } from './migrate.js';
+import { scenarioSchema } from './schema.js';
+import { $, createEl, downloadFile } from './dom.js';
+
+const STORAGE_KEY = 'powerGridTycoon.scenarios';
+const STORAGE_TYPE_OPTIONS = scenarioSchema.$defs.storageAsset.properties.type.enum;
+const DISPATCH_OPTIONS = scenarioSchema.$defs.demandResponseProgram.properties.dispatch.enum;
+const PREVIEW_DELAY = 300;
+
+const SECTIONS = [
+  {
+    title: 'Meta',
+    path: 'meta',
+    fields: [
+      { key: 'region', type: 'text' },
+      { key: 'seed', step: 1 },
+      { key: 'reservePercent', step: 1 },
+      { key: 'priceCap', step: 50 },
+      { key: 'dayAheadDefaultPrice', step: 1 },
+      { key: 'rotationHours', step: 0.25 }
+    ]
+  },
+  {
+    title: 'Clock',
+    path: 'clock',
+    fields: [
+      { key: 'start', type: 'text' },
+      { key: 'durationHours', step: 1 },
+      { key: 'tickMinutes', step: 1 }
+    ]
+  },
+  {
+    title: 'Weather',
+    path: 'weather',
+    fields: [
+      { key: 'temperature.base', step: 1 },
+      { key: 'temperature.amplitude', step: 1 },
+      { key: 'wind.mean', step: 0.5 },
+      { key: 'wind.variance', step: 0.5 },
+      { key: 'wind.referenceHeight', step: 10 },
+      { key: 'wind.shearExponent', step: 0.01 },
+      { key: 'wind.correlationLength', step: 0.1 },
+      { key: 'solar.peak', step: 0.05 },
+      { key: 'solar.latitude', step: 1 },
+      { key: 'solar.longitude', step: 1 },
+      { key: 'solar.cloudCover', step: 0.05 },
+      { key: 'solar.cloudVariability', step: 0.05 },
+      { key: 'solar.cloudPersistenceHours', step: 0.5 }
+    ]
+  },
+  {
+    title: 'Zones',
+    path: 'zones',
+    rows: true,
+    fields: [
+      { key: 'id', type: 'text' },
+      { key: 'name', type: 'text' },
+      { key: 'baseLoad', step: 10 },
+      { key: 'tempSensitivity', step: 0.5 },
+      { key: 'latitude', step: 1 },
+      { key: 'position.x', step: 0.05 },
+      { key: 'position.y', step: 0.05 }
+    ],
+    template: (n) => ({ id: `zone-${n}`, name: `Zone ${n}`, baseLoad: 200, tempSensitivity: 2, position: { x: 0.5, y: 0.5 } })
+  },
+  {
+    title: 'Transmission',
+    path: 'transmission',
+    rows: true,
+    fields: [
+      { key: 'id', type: 'text' },
+      { key: 'from', type: 'zone' },
+      { key: 'to', type: 'zone' },
+      { key: 'limit', step: 10 },
+      { key: 'reactance', step: 0.01 },
+      { key: 'lossFactor', step: 0.005 },
+      { key: 'poissonRate', step: 0.01 }
+    ],
+    template: (n, zones) => ({ id: `link-${n}`, from: zones[0]?.id, to: zones[1]?.id ?? zones[0]?.id, limit: 150, reactance: 0.1, lossFactor: 0.02, poissonRate: 0, repairHours: [2, 6], maintenance: [] })
+  },
+  {
+    title: 'Thermal Units',
+    path: 'thermalUnits',
+    rows: true,
+    fields: [
+      { key: 'id', type: 'text' },
+      { key: 'name', type: 'text' },
+      { key: 'zone', type: 'zone' },
+      { key: 'pmin', step: 10 },
+      { key: 'pmax', step: 10 },
+      { key: 'ramp', step: 5 },
+      { key: 'heatRate', step: 0.1 },
+      { key: 'vom', step: 0.5 },
+      { key: 'fuelPrice', step: 1 },
+      { key: 'emissions', step: 0.01 },
+      { key: 'reserveCap', step: 5 },
+      { key: 'poissonRate', step: 0.01 },
+      { key: 'minUpHours', step: 1 },
+      { key: 'minDownHours', step: 1 },
+      { key: 'startupLeadHours', step: 0.25 },
+      { key: 'noLoadCost', step: 10 }
+    ],
+    template: (n, zones) => ({
+      id: `unit-${n}`,
+      zone: zones[0]?.id,
+      name: `Unit ${n}`,
+      pmin: 40,
+      pmax: 120,
+      ramp: 30,
+      heatRate: 9.5,
+      vom: 4,
+      fuelPrice: 28,
+      emissions: 0.45,
+      reserveCap: 40,
+      poissonRate: 0.05,
+      startupCost: { hot: 600, warm: 1100, cold: 1800 },
+      startupStateHours: { hot: 4, warm: 12 },
+      minUpHours: 1,
+      minDownHours: 1,
+      startupLeadHours: 0.25,
+      noLoadCost: 250,
+      repairHours: [1, 3]
+    })
+  },
+  {
+    title: 'Solar',
+    path: 'renewables.solar',
+    rows: true,
+    fields: [
+      { key: 'id', type: 'text' },
+      { key: 'zone', type: 'zone' },
+      { key: 'pmax', step: 10 },
+      { key: 'curtailmentCost', step: 5 }
+    ],
+    template: (n, zones) => ({ id: `solar-${n}`, zone: zones[0]?.id, pmax: 50 })
+  },
+  {
+    title: 'Wind',
+    path: 'renewables.wind',
+    rows: true,
+    fields: [
+      { key: 'id', type: 'text' },
+      { key: 'zone', type: 'zone' },
+      { key: 'pmax', step: 10 },
+      { key: 'hubHeight', step: 10 },
+      { key: 'cutIn', step: 0.5 },
+      { key: 'ratedSpeed', step: 0.5 },
+      { key: 'cutOut', step: 1 },
+      { key: 'curtailmentCost', step: 5 }
+    ],
+    template: (n, zones) => ({ id: `wind-${n}`, zone: zones[0]?.id, pmax: 50 })
+  },
+  {
+    title: 'Storage',
+    path: 'storage',
+    rows: true,
+    fields: [
+      { key: 'id', type: 'text' },
+      { key: 'name', type: 'text' },
+      { key: 'type', type: 'select', options: STORAGE_TYPE_OPTIONS },
+      { key: 'zone', type: 'zone' },
+      { key: 'power', step: 10 },
+      { key: 'durationHours', step: 0.5 },
+      { key: 'roundTripEff', step: 0.01 },
+      { key: 'initialSoc', step: 0.05 },
+      { key: 'targetSoc', step: 0.05 }
+    ],
+    template: (n, zones) => ({ id: `storage-${n}`, type: 'li-ion', zone: zones[0]?.id, name: `Storage ${n}`, power: 50, durationHours: 2, roundTripEff: 0.9, initialSoc: 0.5, targetSoc: 0.5 })
+  },
+  {
+    title: 'Demand response',
+    path: 'demandResponse',
+    rows: true,
+    fields: [
+      { key: 'id', type: 'text' },
+      { key: 'name', type: 'text' },
+      { key: 'zone', type: 'zone' },
+      { key: 'dispatch', type: 'select', options: DISPATCH_OPTIONS },
+      { key: 'capacity', step: 10 },
+      { key: 'price', step: 50 },
+      { key: 'noticeHours', step: 0.25 },
+      { key: 'maxDurationHours', step: 0.5 },
+      { key: 'reboundFraction', step: 0.1 },
+      { key: 'reboundHours', step: 0.5 }
+    ],
+    template: (n, zones) => ({
+      id: `dr-${n}`,
+      zone: zones[0]?.id,
+      name: `Demand response ${n}`,
+      dispatch: 'manual',
+      capacity: 30,
+      price: 300,
+      noticeHours: 1,
+      maxDurationHours: 4,
+      reboundFraction: 0.5,
+      reboundHours: 2
+    })
+  }
+];
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function splitPath(path) {
+  return path
+    .split(/[.[\]]+/)
+    .filter(Boolean)
+    .map((key) => (/^\d+$/.test(key) ? Number(key) : key));
+}
+
+function getPath(obj, path) {
+  return splitPath(path).reduce((node, key) => node?.[key], obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = splitPath(path);
+  const last = keys.pop();
+  const parent = keys.reduce((node, key, idx) => {
+    if (node[key] === undefined) node[key] = typeof (keys[idx + 1] ?? last) === 'number' ? [] : {};
+    return node[key];
+  }, obj);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+}
+
+export class ScenarioEditor {
+  constructor(scenario, { onApply }) {
+    this.onApply = onApply;
+    this.root = $('#scenario-editor');
+    this.formEl = $('#editor-form');
+    this.errorsEl = $('#editor-errors');
+    this.feedbackEl = $('#editor-feedback');
+    this.jsonEl = $('#editor-json');
+    this.draft = clone(scenario);
+    this.errors = [];
+    this.previewTimer = null;
+    this.bindControls();
+    this.refreshSaved();
+  }
+
+  toggle(scenario) {
+    const opening = this.root.classList.contains('hidden');
+    this.root.classList.toggle('hidden');
+    if (opening) this.open(scenario);
+  }
+
+  open(scenario) {
+    const { scenario: migrated, fromVersion, applied } = migrateScenario(scenario);
+    this.draft = migrated;
+    this.feedbackEl.textContent = applied.length ? `Migrated from schema v${fromVersion}: ${applied.join('; ')}.` : '';
+    this.render();
+  }
+
+  bindControls() {
+    this.formEl.addEventListener('input', (evt) => {
+      const input = evt.target.closest('[data-path]');
+      if (!input) return;
+      this.updateField(input);
+      this.validate();
+    });
+    this.formEl.addEventListener('change', (evt) => {
+      const input = evt.target.closest('[data-path]');
+      if (input?.dataset.zoneId !== undefined) this.renameZone(input.dataset.zoneId, input.value);
+    });
+    this.formEl.addEventListener('click', (evt) => {
+      const button = evt.target.closest('button[data-section]');
+      if (!button) return;
+      const section = SECTIONS.find((entry) => entry.path === button.dataset.section);
+      const rows = getPath(this.draft, section.path) || [];
+      if (button.dataset.remove !== undefined) {
+        rows.splice(Number(button.dataset.remove), 1);
+      } else {
+        rows.push(section.template(rows.length + 1, this.draft.zones || []));
+      }
+      setPath(this.draft, section.path, rows);
+      this.render();
+    });
+    $('#editor-apply').addEventListener('click', () => this.apply());
+    $('#editor-json-apply').addEventListener('click', () => this.applyJson());
+    $('#editor-download').addEventListener('click', () => {
+      const name = $('#editor-name').value.trim() || this.draft.meta?.region || 'scenario';
+      downloadFile(`${name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`, JSON.stringify(this.draft, null, 2), 'application/json');
+    });
+    $('#editor-file').addEventListener('change', async (evt) => {
+      const file = evt.target.files[0];
+      if (!file) return;
+      try {
+        this.open(JSON.parse(await file.text()));
+        $('#editor-name').value = file.name.replace(/\.json$/i, '');
+        this.feedbackEl.textContent = `Loaded ${file.name}. ${this.feedbackEl.textContent}`;
+      } catch (err) {
+        this.feedbackEl.textContent = `Could not read ${file.name}: ${err.message}`;
+      }
+      evt.target.value = '';
+    });
+    $('#editor-save').addEventListener('click', () => this.saveLocal());
+    $('#editor-load').addEventListener('click', () => {
+      const name = $('#editor-saved').value;
+      const saved = this.savedScenarios()[name];
+      if (!saved) return;
+      try {
+        this.open(saved);
+      } catch (err) {
+        this.feedbackEl.textContent = err.message;
+        return;
+      }
+      $('#editor-name').value = name;
+      this.feedbackEl.textContent = `Loaded "${name}" from browser storage. ${this.feedbackEl.textContent}`;
+    });
+    $('#editor-delete').addEventListener('click', () => {
+      const name = $('#editor-saved').value;
+      const saved = this.savedScenarios();
+      if (!saved[name]) return;
+      delete saved[name];
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+      this.refreshSaved();
+      this.feedbackEl.textContent = `Deleted "${name}".`;
+    });
+  }
+
+  updateField(input) {
+    const { path } = input.dataset;
+    if (input.type === 'number') {
+      setPath(this.draft, path, input.value === '' ? undefined : Number(input.value));
+    } else {
+      setPath(this.draft, path, input.value);
+    }
+  }
+
+  renameZone(previous, next) {
+    if (previous === next) return;
+    (this.draft.transmission || []).forEach((link) => {
+      if (link.from === previous) link.from = next;
+      if (link.to === previous) link.to = next;
+    });
+    [...(this.draft.thermalUnits || []), ...(this.draft.renewables?.solar || []), ...(this.draft.renewables?.wind || []), ...(this.draft.storage || []), ...(this.draft.demandResponse || [])].forEach((item) => {
+      if (item.zone === previous) item.zone = next;
+    });
+    this.render();
+  }
+
+  render() {
+    this.formEl.innerHTML = '';
+    const zoneIds = (this.draft.zones || []).map((zone) => zone.id);
+    SECTIONS.forEach((section) => {
+      const fieldset = createEl('fieldset');
+      fieldset.appendChild(createEl('legend', { text: section.title }));
+      if (section.rows) {
+        const table = createEl('table', { className: 'editor-table' });
+        const header = createEl('tr');
+        section.fields.forEach((field) => header.appendChild(createEl('th', { text: field.key })));
+        header.appendChild(createEl('th'));
+        table.appendChild(header);
+        (getPath(this.draft, section.path) || []).forEach((_, idx) => {
+          const row = createEl('tr');
+          section.fields.forEach((field) => {
+            const cell = createEl('td');
+            cell.appendChild(this.createInput(`${section.path}[${idx}].${field.key}`, field, zoneIds));
+            row.appendChild(cell);
+          });
+          const remove = createEl('button', { text: 'Remove' });
+          remove.dataset.section = section.path;
+          remove.dataset.remove = idx;
+          const cell = createEl('td');
+          cell.appendChild(remove);
+          row.appendChild(cell);
+          table.appendChild(row);
+        });
+        fieldset.appendChild(table);
+        const add = createEl('button', { text: `Add ${section.title}` });
+        add.dataset.section = section.path;
+        fieldset.appendChild(add);
+      } else {
+        section.fields.forEach((field) => {
+          const label = createEl('label', { text: `${field.key} ` });
+          label.appendChild(this.createInput(`${section.path}.${field.key}`, field, zoneIds));
+          fieldset.appendChild(label);
+        });
+      }
+      this.formEl.appendChild(fieldset);
+    });
+    this.validate();
+  }
+
+  createInput(path, field, zoneIds) {
+    const value = getPath(this.draft, path);
+    let input;
+    if (field.type === 'zone' || field.type === 'select') {
+      input = createEl('select');
+      const options = [...(field.type === 'zone' ? zoneIds : field.options)];
+      if (!options.includes(value)) options.unshift(value ?? '');
+      options.forEach((option) => {
+        const el = createEl('option', { text: option });
+        el.value = option;
+        input.appendChild(el);
+      });
+    } else {
+      input = createEl('input');
+      input.type = field.type === 'text' ? 'text' : 'number';
+      if (field.step) input.step = field.step;
+    }
+    input.value = value ?? '';
+    input.dataset.path = path;
+    if (/^zones\[\d+\]\.id$/.test(path)) input.dataset.zoneId = value ?? '';
+    return input;
+  }
+
+  validate() {
+    this.errors = validateScenario(this.draft);
+    const inputs = new Map([...this.formEl.querySelectorAll('[data-path]')].map((input) => [input.dataset.path, input]));
+    inputs.forEach((input) => {
+      input.classList.remove('invalid');
+      input.title = '';
+    });
+    this.errors.forEach((error) => {
+      const input = inputs.get(error.path);
+      if (!input) return;
+      input.classList.add('invalid');
+      input.title = input.title ? `${input.title}\n${error.message}` : error.message;
+    });
+    this.errorsEl.innerHTML = '';
+    this.errors.forEach((error) => this.errorsEl.appendChild(createEl('li', { text: `${error.path}: ${error.message}` })));
+    $('#editor-status').textContent = this.errors.length ? `${this.errors.length} problem${this.errors.length === 1 ? '' : 's'} found.` : 'Scenario is valid.';
+    $('#editor-status').classList.toggle('error', this.errors.length > 0);
+    $('#editor-apply').disabled = this.errors.length > 0;
+    if (document.activeElement !== this.jsonEl) this.jsonEl.value = JSON.stringify(this.draft, null, 2);
+    this.schedulePreview();
+  }
+
+  schedulePreview() {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => {
+      this.previewTimer = null;
+      this.drawPreview();
+    }, PREVIEW_DELAY);
+  }
+
+  applyJson() {
+    try {
+      this.open(JSON.parse(this.jsonEl.value));
+    } catch (err) {
+      this.feedbackEl.textContent = `Could not apply JSON: ${err.message}`;
+      return;
+    }
+    this.feedbackEl.textContent = `JSON applied to the draft. ${this.feedbackEl.textContent}`;
+  }
+
+  apply() {
+    if (this.errors.length) {
+      this.feedbackEl.textContent = 'Fix the highlighted problems before using this scenario.';
+      return;
+    }
+    this.onApply(clone(this.draft));
+    this.feedbackEl.textContent = 'Scenario loaded; the simulation has been reset.';
+  }
+
+  savedScenarios() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  saveLocal() {
+    const name = $('#editor-name').value.trim();
+    if (!name) {
+      this.feedbackEl.textContent = 'Enter a name to save the scenario.';
+      return;
+    }
+    const saved = this.savedScenarios();
+    saved[name] = clone(this.draft);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    this.refreshSaved(name);
+    this.feedbackEl.textContent = `Saved "${name}" to browser storage.`;
+  }
+
+  refreshSaved(selected) {
+    const select = $('#editor-saved');
+    select.innerHTML = '';
+    Object.keys(this.savedScenarios())
+      .sort()
+      .forEach((name) => {
+        const option = createEl('option', { text: name });
+        option.value = name;
+        select.appendChild(option);
+      });
+    if (selected) select.value = selected;
+  }
+
+  drawPreview() {
+    const canvas = $('#editor-preview');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '12px sans-serif';
+    let forecast = null;
+    if (!this.errors.length) {
+      try {
+        forecast = new SimulationEngine(this.draft, { headless: true }).commitmentForecast(0);
+      } catch (err) {
+        this.errorsEl.appendChild(createEl('li', { text: `Preview failed: ${err.message}` }));
+      }
+    }
+    if (!forecast?.length) {
+      ctx.fillStyle = '#666';
+      ctx.fillText('Preview available once the scenario is valid', 10, canvas.height / 2);
+      return;
+    }
+    const series = [
+      ['load', 'Load', '#1f77b4'],
+      ['renewable', 'Renewables', '#38b000'],
+      ['netLoad', 'Net load', '#d7263d']
+    ];
+    const max = Math.max(1, ...forecast.flatMap((hour) => series.map(([key]) => hour[key])));
+    const min = Math.min(0, ...forecast.map((hour) => hour.netLoad));
+    const plotHeight = canvas.height - 40;
+    const yFor = (value) => canvas.height - 20 - ((value - min) / (max - min)) * plotHeight;
+    ctx.strokeStyle = '#ccc';
+    ctx.beginPath();
+    ctx.moveTo(0, yFor(0));
+    ctx.lineTo(canvas.width, yFor(0));
+    ctx.stroke();
+    series.forEach(([key, label, color], seriesIdx) => {
+      ctx.beginPath();
+      forecast.forEach((hour, idx) => {
+        const x = (idx / Math.max(1, forecast.length - 1)) * canvas.width;
+        if (idx === 0) ctx.moveTo(x, yFor(hour[key]));
+        else ctx.lineTo(x, yFor(hour[key]));
+      });
+      ctx.strokeStyle = color;
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.fillText(label, 8 + seriesIdx * 90, 14);
+    });
+    ctx.fillStyle = '#111';
+    ctx.fillText(`Peak ${max.toFixed(0)} MW over ${forecast.length} h`, canvas.width - 170, 14);
+  }
+}
@@ -1,21 +1,36 @@
-function mulberry32(seed) {
-  return function () {
-    let t = (seed += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+import { LinearProgram } from './solver.js';
+import { meritOrderDispatch, solveUnitCommitment } from './commitment.js';
+import { planArbitrage } from './arbitrage.js';
+import { resampleSeries } from './timeseries.js';
+
+function mulberry32(counter) {
+  let t = counter;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
 }
 
 class RNG {
   constructor(seed) {
     this.seed = seed;
-    this.rand = mulberry32(seed);
+    this.counter = seed;
     this.nextGaussian = null;
   }
 
+  static fromState({ seed, counter, nextGaussian }) {
+    const rng = new RNG(seed);
+    rng.counter = counter;
+    rng.nextGaussian = nextGaussian;
+    return rng;
+  }
+
+  getState() {
+    return { seed: this.seed, counter: this.counter, nextGaussian: this.nextGaussian };
+  }
+
   next() {
-    return this.rand();
+    this.counter += 0x6d2b79f5;
+    return mulberry32(this.counter);
   }
 
   nextRange(min, max) {
@@ -46,30 +61,175 @@ class RNG {
   }
 }
 
+const RESERVE_SHORTFALL_COST = 100;
+const CHECKPOINT_FORMAT = 'power-grid-tycoon-checkpoint';
+const CHECKPOINT_VERSION = 6;
+const RECORDING_FORMAT = 'power-grid-tycoon-replay';
+const RECORDING_VERSION = 2;
+const REPLAYABLE_ACTIONS = [
+  'startRun',
+  'toggleUnit',
+  'setStorageMode',
+  'applyOverrides',
+  'setSecurityConstrained',
+  'setCommitmentPlan',
+  'setCommitmentActive',
+  'clearCommitmentPlan',
+  'overrideCommitment',
+  'callDemandResponse',
+  'releaseDemandResponse',
+  'undo',
+  'redo'
+];
+const HISTORY_LIMIT = 50;
+const STRATEGY_ACTIONS = ['toggleUnit', 'setStorageMode', 'callDemandResponse', 'releaseDemandResponse'];
+const STRATEGY_LOOKAHEAD_HOURS = 6;
+const FORECAST_SALT = 0x2545f491;
+const FORECAST_ERROR = { load: 0.05, renewable: 0.25 };
+const FORECAST_SATURATION_HOURS = 24;
+const FORECAST_Z90 = 1.2816;
+const INTRADAY_HOURS = 6;
+const DEFAULT_REACTANCE = 0.1;
+const WEATHER_SALT = 0x68e31da4;
+const DEFAULT_LATITUDE = 35;
+const DEFAULT_HUB_HEIGHT = 80;
+const DEFAULT_SHEAR_EXPONENT = 1 / 7;
+const DEFAULT_CORRELATION_LENGTH = 0.5;
+const DEFAULT_CLOUDS = { cloudCover: 0.3, cloudVariability: 0.25, cloudPersistenceHours: 3 };
+const DEFAULT_TURBINE = { cutIn: 3, ratedSpeed: 12, cutOut: 25 };
+const CURTAILMENT_PRICE_GAP = 1;
+const DEFAULT_REBOUND_HOURS = 2;
+const DEMAND_RESPONSE_STATUS = { ready: 'ready', notified: 'on notice', active: 'curtailing', rebound: 'recovering from rebound' };
+const CUSTOMER_CLASSES = {
+  industrial: { share: 0.2, vollMultiple: 1, blocks: 4 },
+  commercial: { share: 0.3, vollMultiple: 2, blocks: 4 },
+  residential: { share: 0.4, vollMultiple: 4, blocks: 6 },
+  critical: { share: 0.1, vollMultiple: 20, blocks: 1 }
+};
+const DEFAULT_ROTATION_HOURS = 1;
+const STORAGE_TYPES = {
+  'li-ion': { roundTripEff: 0.9, replacementCostPerMWh: 250000, cycleLife: [[0.1, 15000], [0.5, 6000], [0.8, 4000], [1, 3000]] },
+  'pumped-hydro': { roundTripEff: 0.78, replacementCostPerMWh: 20000, cycleLife: [[1, 60000]] },
+  flow: { roundTripEff: 0.7, replacementCostPerMWh: 120000, cycleLife: [[1, 15000]] }
+};
+
 function clone(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
+// Version 1 undid unit toggles with a restoreUnitState action that forced the unit back; undo/redo replaced it.
+function legacyUndoError(actions) {
+  const legacy = actions.find((action) => action.type === 'restoreUnitState');
+  if (!legacy) return null;
+  return `It was saved by an older version whose undo (tick ${legacy.tick}) this build cannot reproduce; start a new run.`;
+}
+
+function cycleLifeAt(curve, depth) {
+  const points = curve.slice().sort((a, b) => a[0] - b[0]);
+  if (depth <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [d0, c0] = points[i - 1];
+    const [d1, c1] = points[i];
+    if (depth <= d1) return c0 + ((c1 - c0) * (depth - d0)) / (d1 - d0);
+  }
+  return points[points.length - 1][1];
+}
+
+function dynamicRatingFactor(config, temperature, windSpeed) {
+  if (!config) return 1;
+  const factor =
+    1 +
+    (config.tempCoefficient ?? -0.008) * (temperature - (config.referenceTemp ?? 25)) +
+    (config.windCoefficient ?? 0.02) * (windSpeed - (config.referenceWind ?? 2));
+  return Math.max(config.min ?? 0.7, Math.min(config.max ?? 1.3, factor));
+}
+
+function invertMatrix(matrix) {
+  const n = matrix.length;
+  const work = matrix.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivotRow = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(work[row][col]) > Math.abs(work[pivotRow][col])) pivotRow = row;
+    }
+    if (Math.abs(work[pivotRow][col]) < 1e-12) throw new Error('Network susceptance matrix is singular.');
+    [work[col], work[pivotRow]] = [work[pivotRow], work[col]];
+    const pivot = work[col][col];
+    for (let j = 0; j < 2 * n; j++) work[col][j] /= pivot;
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = work[row][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) work[row][j] -= factor * work[col][j];
+    }
+  }
+  return work.map((row) => row.slice(n));
+}
+
 function formatTime(date) {
   return date.toISOString().substring(11, 16);
 }
 
-function capacityFactorFromWind(speed) {
-  if (speed <= 3) return 0;
-  if (speed < 12) return ((speed - 3) / 9) * 0.9;
-  if (speed <= 25) return 0.9;
-  return 0;
+function formatDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function dayFraction(date) {
+  return (date.getUTCHours() * 60 + date.getUTCMinutes()) / 1440;
+}
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function windPowerFraction(plant, speed) {
+  if (plant.powerCurve) {
+    const curve = plant.powerCurve.slice().sort((a, b) => a[0] - b[0]);
+    if (speed < curve[0][0] || speed > curve[curve.length - 1][0]) return 0;
+    const upper = curve.findIndex(([point]) => point >= speed);
+    if (upper === 0) return curve[0][1];
+    const [x0, y0] = curve[upper - 1];
+    const [x1, y1] = curve[upper];
+    return y0 + ((y1 - y0) * (speed - x0)) / (x1 - x0);
+  }
+  const { cutIn, ratedSpeed, cutOut } = { ...DEFAULT_TURBINE, ...plant };
+  if (speed < cutIn || speed >= cutOut) return 0;
+  if (speed >= ratedSpeed) return 1;
+  return (speed ** 3 - cutIn ** 3) / (ratedSpeed ** 3 - cutIn ** 3);
+}
+
+// Haurwitz clear-sky model in kW/m² (≈1 at a high sun), from solar declination and hour angle at the site.
+function clearSkyIrradiance(date, latitude, longitude) {
+  const dayOfYear = Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000);
+  const declination = ((23.44 * Math.PI) / 180) * Math.sin((2 * Math.PI * (284 + dayOfYear)) / 365);
+  const hourAngle = ((dayFraction(date) * 24 + longitude / 15 - 12) * 15 * Math.PI) / 180;
+  const lat = (latitude * Math.PI) / 180;
+  const cosZenith = Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+  if (cosZenith <= 0) return 0;
+  return 1.098 * cosZenith * Math.exp(-0.057 / cosZenith);
+}
+
+function cloudAttenuation(cover) {
+  return 1 - 0.75 * cover ** 3.4;
+}
+
+function cholesky(matrix) {
+  const size = matrix.length;
+  const lower = matrix.map(() => new Array(size).fill(0));
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      lower[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / lower[j][j];
+    }
+  }
+  return lower;
 }
 
-function solarIrradiance(tick, totalTicks, peak) {
-  const phase = (tick / totalTicks) * Math.PI * 2;
-  const daylight = Math.max(0, Math.sin(phase - Math.PI / 2));
-  return Math.min(peak, daylight * peak);
+function correlate(lower, shocks) {
+  return lower.map((row) => row.reduce((sum, weight, k) => sum + weight * shocks[k], 0));
 }
 
-function timeOfDayCurve(tick, totalTicks) {
-  const dayFraction = tick / totalTicks;
-  return 40 * Math.sin(2 * Math.PI * (dayFraction - 0.25));
+function timeOfDayCurve(date, amplitude = 40) {
+  return amplitude * Math.sin(2 * Math.PI * (dayFraction(date) - 0.25));
 }
 
 export class SimulationEngine {
@@ -79,6 +239,8 @@ export class SimulationEngine {
     this.tickMinutes = scenario.clock.tickMinutes;
     this.tickHours = this.tickMinutes / 60;
     this.totalTicks = Math.round((scenario.clock.durationHours * 60) / this.tickMinutes);
+    this.ticksPerHour = Math.round(60 / this.tickMinutes);
+    this.totalHours = Math.ceil(this.totalTicks / this.ticksPerHour);
     this.preRun = true;
     this.running = false;
     this.reset();
@@ -90,7 +252,7 @@ export class SimulationEngine {
       tickIndex: 0,
       currentTime: new Date(this.scenario.clock.start),
       zones: this.scenario.zones.map((z) => ({ ...clone(z), load: 0, price: 0, renewable: 0, netLoad: 0 })),
-      links: this.scenario.transmission.map((t) => ({ ...clone(t), flow: 0, congested: false })),
+      links: this.scenario.transmission.map((t) => ({ ...clone(t), baseLimit: t.limit, rating: 1, status: 'in-service', outageTicks: 0, flow: 0, congested: false })),
       thermal: this.scenario.thermalUnits.map((unit) => ({
         ...clone(unit),
         committed: false,
@@ -98,10 +260,37 @@ export class SimulationEngine {
         output: 0,
         outageTicks: 0,
         targetOutput: 0,
-        toggleAllowed: true
+        onlineTicks: 0,
+        offlineTicks: this.hoursToTicks(unit.initialOfflineHours ?? 24),
+        startingTicks: 0,
+        startState: null,
+        toggleAllowed: true,
+        toggleReason: ''
+      })),
+      storage: this.initializeStorage(),
+      shedding: this.initializeShedding(),
+      weather: { tempSeries: [], windSeries: [], solarSeries: [], zones: {}, loadSeries: {}, imported: [] },
+      renewables: [
+        ...this.scenario.renewables.solar.map((plant) => ({ kind: 'solar', plant })),
+        ...this.scenario.renewables.wind.map((plant) => ({ kind: 'wind', plant }))
+      ].map(({ kind, plant }) => ({ id: plant.id, name: plant.name ?? plant.id, kind, zone: plant.zone, availableMWh: 0, deliveredMWh: 0, curtailed: { economic: 0, congestion: 0 } })),
+      demandResponse: (this.scenario.demandResponse ?? []).map((program) => ({
+        ...clone(program),
+        name: program.name ?? program.id,
+        dispatch: program.dispatch ?? 'manual',
+        status: 'ready',
+        trigger: null,
+        noticeTicks: 0,
+        activeTicks: 0,
+        deployedMW: 0,
+        eventMWh: 0,
+        reboundMW: 0,
+        reboundTicks: 0,
+        calls: 0,
+        energyMWh: 0,
+        reboundMWh: 0,
+        cost: 0
       })),
-      battery: this.initializeBattery(),
-      weather: { tempSeries: [], windSeries: [], solarSeries: [] },
       priceHistory: [],
       dispatchHistory: [],
       kpis: {
@@ -115,61 +304,419 @@ export class SimulationEngine {
         fuelExpense: 0,
         vomExpense: 0,
         carbonExpense: 0,
+        startupExpense: 0,
+        noLoadExpense: 0,
+        starts: 0,
         congestedTicks: 0,
-        batteryThroughput: 0,
+        storageThroughput: 0,
+        degradationCost: 0,
+        reserveRevenue: 0,
+        reserveShortfall: 0,
+        reserveRequirement: 0,
         loadServed: 0,
-        totalLoad: 0
+        totalLoad: 0,
+        curtailedEconomic: 0,
+        curtailedCongestion: 0,
+        demandResponseCost: 0,
+        demandResponseMWh: 0,
+        demandResponseReboundMWh: 0,
+        demandResponseAvoidedUnmet: 0,
+        sheddingCost: 0
       },
       events: [],
-      dayAhead: { quantity: 0, price: this.scenario.meta.dayAheadDefaultPrice, settled: false },
+      dayAhead: { quantity: 0, price: this.scenario.meta.dayAheadDefaultPrice, openDay: null, settlements: [] },
+      commitment: null,
+      reserves: null,
+      security: {
+        constrained: Boolean(this.scenario.meta.security?.constrained),
+        activeKeys: [],
+        violations: [],
+        secureTicks: 0,
+        insecureTicks: 0,
+        report: {}
+      },
       overrides: {},
+      actions: [],
+      history: { undo: [], redo: [] },
       tickLog: [],
       done: false,
       lastEvent: null,
       eventCounter: 0
     };
-    this.latestSnapshot = this.buildSnapshot(true);
     this.generateWeatherSeries();
+    this.prepareForecasts();
+    this.latestSnapshot = this.buildSnapshot(true);
     this.preRun = true;
     this.running = false;
   }
 
-  initializeBattery() {
-    const battery = clone(this.scenario.battery);
-    const energyCapacity = battery.power * battery.durationHours;
-    const initialMWh = energyCapacity * (battery.initialSoc ?? 0.5);
-    return {
-      ...battery,
-      energyCapacity,
-      socMWh: initialMWh,
-      modeSetting: 'auto',
-      mode: 'idle',
-      lastActionTick: -1
-    };
+  storageConfigs() {
+    if (Array.isArray(this.scenario.storage)) return this.scenario.storage;
+    return this.scenario.battery ? [{ type: 'li-ion', ...this.scenario.battery }] : [];
+  }
+
+  // Value of lost load defaults to a multiple of the price cap so the cheapest class sheds at the cap, as before.
+  initializeShedding() {
+    const defaults = Object.entries(CUSTOMER_CLASSES).map(([id, { share }]) => ({ id, share }));
+    return this.scenario.zones.flatMap((zone) =>
+      (zone.customerClasses ?? defaults)
+        .map((customerClass) => ({
+          id: `${zone.id}:${customerClass.id}`,
+          zone: zone.id,
+          customerClass: customerClass.id,
+          share: customerClass.share,
+          voll: customerClass.voll ?? this.scenario.meta.priceCap * CUSTOMER_CLASSES[customerClass.id].vollMultiple,
+          blocks: Array.from({ length: customerClass.blocks ?? CUSTOMER_CLASSES[customerClass.id].blocks }, () => ({ dark: false, outTicks: 0, darkTicks: 0, outages: 0 })),
+          shedding: false,
+          shedMW: 0,
+          shedMWh: 0,
+          cost: 0,
+          shedTicks: 0,
+          events: 0,
+          eventStart: null,
+          lastShedTick: null,
+          eventOutages: 0,
+          longestOutageTicks: 0
+        }))
+        .sort((a, b) => a.voll - b.voll)
+    );
+  }
+
+  initializeStorage() {
+    return this.storageConfigs().map((config) => {
+      const asset = { ...clone(STORAGE_TYPES[config.type] || STORAGE_TYPES['li-ion']), ...clone(config) };
+      const energyCapacity = asset.power * asset.durationHours;
+      const socMWh = energyCapacity * (asset.initialSoc ?? 0.5);
+      return {
+        ...asset,
+        name: asset.name ?? asset.id,
+        energyCapacity,
+        socMWh,
+        targetSocMWh: energyCapacity * (asset.targetSoc ?? asset.initialSoc ?? 0.5),
+        modeSetting: 'auto',
+        mode: 'idle',
+        lastActionTick: -1,
+        plannedHour: null,
+        schedule: Array.from({ length: this.totalHours }, () => ({ plannedMW: null, plannedSocMWh: null, actualMWh: 0, socMWh: null })),
+        throughputMWh: 0,
+        degradationCost: 0,
+        lifeUsed: 0,
+        cycle: { direction: null, startSocMWh: socMWh }
+      };
+    });
+  }
+
+  tickTime(idx) {
+    return new Date(new Date(this.scenario.clock.start).getTime() + idx * this.tickMinutes * 60000);
+  }
+
+  dayType(date) {
+    const holidays = this.scenario.calendar?.holidays || [];
+    if (holidays.includes(formatDate(date))) return 'holiday';
+    const weekday = date.getUTCDay();
+    return weekday === 0 || weekday === 6 ? 'weekend' : 'weekday';
+  }
+
+  loadProfile(date) {
+    const profiles = this.scenario.calendar?.profiles || {};
+    const weekday = { scale: 1, amplitude: 40, ...profiles.weekday };
+    const weekend = { ...weekday, ...profiles.weekend };
+    const holiday = { ...weekend, ...profiles.holiday };
+    return { weekday, weekend, holiday }[this.dayType(date)];
+  }
+
+  expectedZoneLoad(zoneConfig, idx) {
+    const recorded = this.state.weather.loadSeries[zoneConfig.id]?.[idx];
+    if (recorded !== null && recorded !== undefined) return recorded;
+    const time = this.tickTime(idx);
+    const temperature = this.state.weather.tempSeries[idx];
+    const profile = this.loadProfile(time);
+    const baseLoad = zoneConfig.baseLoad * profile.scale + timeOfDayCurve(time, profile.amplitude);
+    return baseLoad + zoneConfig.tempSensitivity * (temperature - this.scenario.weather.temperature.base);
+  }
+
+  zoneSite(zone) {
+    const { solar } = this.scenario.weather;
+    return { latitude: zone.latitude ?? solar.latitude ?? DEFAULT_LATITUDE, longitude: zone.longitude ?? solar.longitude ?? 0 };
+  }
+
+  // Zone-to-zone correlation decays with map distance; zones without a position sit a correlation length apart.
+  zoneCorrelation(length) {
+    const zones = this.scenario.zones;
+    return zones.map((a) =>
+      zones.map((b) => {
+        if (a === b) return 1;
+        const distance = a.position && b.position ? Math.hypot(a.position.x - b.position.x, a.position.y - b.position.y) : length;
+        return Math.exp(-distance / length);
+      })
+    );
   }
 
   generateWeatherSeries() {
     const total = this.totalTicks;
-    const tempBase = this.scenario.weather.temperature.base;
-    const amplitude = this.scenario.weather.temperature.amplitude;
-    const windMean = this.scenario.weather.wind.mean;
-    const windVar = this.scenario.weather.wind.variance;
-    const solarPeak = this.scenario.weather.solar.peak;
-    this.state.weather.tempSeries = new Array(total);
-    this.state.weather.windSeries = new Array(total);
-    this.state.weather.solarSeries = new Array(total);
+    const { temperature, wind } = this.scenario.weather;
+    const solar = { ...DEFAULT_CLOUDS, ...this.scenario.weather.solar };
+    const zones = this.scenario.zones;
+    const zoneRng = new RNG((this.scenario.meta.seed ^ WEATHER_SALT) >>> 0);
+    const mixing = cholesky(this.zoneCorrelation(wind.correlationLength ?? DEFAULT_CORRELATION_LENGTH));
+    const persistence = Math.exp(-this.tickHours / solar.cloudPersistenceHours);
+    const sites = zones.map((zone) => this.zoneSite(zone));
+    const weather = this.state.weather;
+    weather.tempSeries = new Array(total);
+    weather.windSeries = new Array(total);
+    weather.solarSeries = new Array(total);
+    weather.zones = Object.fromEntries(zones.map((zone) => [zone.id, { wind: new Array(total), irradiance: new Array(total), cloudCover: new Array(total) }]));
+    const clouds = zones.map(() => 0);
     for (let i = 0; i < total; i++) {
-      const temp = tempBase + amplitude * Math.sin((2 * Math.PI * i) / total - Math.PI / 2) + this.rng.normal(0, 1.5);
-      const wind = Math.max(0, windMean + this.rng.normal(0, Math.sqrt(windVar)));
-      const solar = Math.max(0, solarIrradiance(i, total, solarPeak) + this.rng.normal(0, 0.05));
-      this.state.weather.tempSeries[i] = temp;
-      this.state.weather.windSeries[i] = wind;
-      this.state.weather.solarSeries[i] = Math.min(1, solar);
+      const time = this.tickTime(i);
+      weather.tempSeries[i] = temperature.base + temperature.amplitude * Math.sin(2 * Math.PI * dayFraction(time) - Math.PI / 2) + this.rng.normal(0, 1.5);
+      const windShocks = correlate(mixing, [this.rng.normal(), ...zones.slice(1).map(() => zoneRng.normal())]);
+      const cloudShocks = correlate(mixing, zones.map(() => zoneRng.normal()));
+      let irradianceSum = 0;
+      zones.forEach((zone, z) => {
+        clouds[z] = i === 0 ? cloudShocks[z] : persistence * clouds[z] + Math.sqrt(1 - persistence ** 2) * cloudShocks[z];
+        const cover = Math.min(1, Math.max(0, solar.cloudCover + solar.cloudVariability * clouds[z]));
+        const series = weather.zones[zone.id];
+        series.wind[i] = Math.max(0, wind.mean + Math.sqrt(wind.variance) * windShocks[z]);
+        series.cloudCover[i] = cover;
+        series.irradiance[i] = Math.min(1, solar.peak * clearSkyIrradiance(time, sites[z].latitude, sites[z].longitude) * cloudAttenuation(cover));
+        irradianceSum += series.irradiance[i];
+      });
+      weather.windSeries[i] = weather.zones[zones[0].id].wind[i];
+      weather.solarSeries[i] = irradianceSum / zones.length;
+    }
+    this.applyTimeSeries();
+  }
+
+  applyTimeSeries() {
+    const timeSeries = this.scenario.timeSeries ?? {};
+    const resample = (spec) => resampleSeries(spec.points, { start: this.scenario.clock.start, tickMinutes: this.tickMinutes, totalTicks: this.totalTicks, scale: spec.scale });
+    const { weather } = this.state;
+    const zoneSeries = (key) => Object.values(weather.zones).map((series) => series[key]);
+    const targets = [
+      ['temperature', [weather.tempSeries], (value) => value],
+      ['wind', [weather.windSeries, ...zoneSeries('wind')], (value) => Math.max(0, value)],
+      ['solar', [weather.solarSeries, ...zoneSeries('irradiance')], (value) => Math.min(1, Math.max(0, value))]
+    ];
+    targets.forEach(([kind, seriesList, limit]) => {
+      if (!timeSeries[kind]?.points) return;
+      const values = resample(timeSeries[kind]);
+      values.forEach((value, idx) => {
+        if (value === null) return;
+        seriesList.forEach((series) => {
+          series[idx] = limit(value);
+        });
+      });
+      weather.imported.push({ series: kind, coverage: values.filter((value) => value !== null).length / this.totalTicks });
+    });
+    (timeSeries.load ?? []).forEach((spec) => {
+      if (!spec.points) return;
+      const values = resample(spec).map((value) => (value === null ? null : Math.max(0, value)));
+      weather.loadSeries[spec.zone] = values;
+      weather.imported.push({ series: `load ${spec.zone}`, coverage: values.filter((value) => value !== null).length / this.totalTicks });
+    });
+  }
+
+  createCheckpoint() {
+    return clone({
+      format: CHECKPOINT_FORMAT,
+      version: CHECKPOINT_VERSION,
+      savedAt: new Date().toISOString(),
+      scenario: this.scenario,
+      preRun: this.preRun,
+      rng: this.rng.getState(),
+      state: this.state,
+      snapshot: this.latestSnapshot
+    });
+  }
+
+  static fromCheckpoint(checkpoint, options = {}) {
+    const engine = new SimulationEngine(checkpoint.scenario, options);
+    engine.restoreCheckpoint(checkpoint);
+    return engine;
+  }
+
+  restoreCheckpoint(checkpoint) {
+    if (checkpoint?.format !== CHECKPOINT_FORMAT) throw new Error('Not a simulation checkpoint.');
+    if (checkpoint.version > CHECKPOINT_VERSION) throw new Error(`Checkpoint version ${checkpoint.version} is newer than this build supports.`);
+    if (JSON.stringify(checkpoint.scenario) !== JSON.stringify(this.scenario)) throw new Error('Checkpoint was saved from a different scenario.');
+    const legacyError = checkpoint.version < 2 ? legacyUndoError(checkpoint.state.actions) : null;
+    if (legacyError) throw new Error(`Cannot restore this checkpoint. ${legacyError}`);
+    if (checkpoint.version < CHECKPOINT_VERSION) this.reset();
+    const initial = this.state;
+    this.rng = RNG.fromState(checkpoint.rng);
+    this.state = clone(checkpoint.state);
+    this.state.currentTime = new Date(this.state.currentTime);
+    this.upgradeCheckpointState(checkpoint.version, initial);
+    this.latestSnapshot = clone(checkpoint.snapshot);
+    this.preRun = checkpoint.preRun;
+    this.running = false;
+  }
+
+  // State added since the checkpoint was saved starts from what a fresh run of the same scenario holds.
+  upgradeCheckpointState(version, initial) {
+    if (version < 2) this.state.history = { undo: [], redo: [] };
+    if (version < 3) {
+      this.state.weather.loadSeries = initial.weather.loadSeries;
+      this.state.weather.imported = initial.weather.imported;
+    }
+    if (version < 4) {
+      Object.assign(this.state.weather, { zones: initial.weather.zones, windSeries: initial.weather.windSeries, solarSeries: initial.weather.solarSeries });
+      this.state.renewables = initial.renewables;
+      Object.assign(this.state.kpis, { curtailedEconomic: 0, curtailedCongestion: 0 });
+    }
+    if (version < 5) {
+      this.state.demandResponse = initial.demandResponse;
+      Object.assign(this.state.kpis, { demandResponseCost: 0, demandResponseMWh: 0, demandResponseReboundMWh: 0, demandResponseAvoidedUnmet: 0 });
+    }
+    if (version < 6) {
+      this.state.shedding = initial.shedding;
+      this.state.kpis.sheddingCost = 0;
+    }
+  }
+
+  recordAction(type, args, undo = null) {
+    const action = { tick: this.state.tickIndex, type, args: clone(args) };
+    this.state.actions.push(action);
+    if (!undo) return;
+    const { history } = this.state;
+    history.undo.push({ ...clone(action), undo: clone(undo) });
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo = [];
+  }
+
+  undoBlocker({ type, args, undo }) {
+    if (type === 'toggleUnit') {
+      const unit = this.state.thermal.find((u) => u.id === args[0]);
+      if (unit.outageTicks > 0) return `${unit.name} is on forced outage.`;
+      if (unit.commandOn === undo.unit.commandOn) return `${unit.name} has been commanded again since.`;
+      if (unit.committed !== undo.committed || Math.abs(unit.output - undo.output) > 0.001) {
+        return `${unit.name} has already started ramping; toggle it instead.`;
+      }
+    }
+    if (type === 'setStorageMode') {
+      const asset = this.state.storage.find((a) => a.id === args[0]);
+      if (this.storageModeBlocked(asset, undo.mode)) return `${asset.name} state of charge no longer allows ${undo.mode}.`;
+    }
+    if (type === 'callDemandResponse') {
+      const program = this.state.demandResponse.find((p) => p.id === args[0]);
+      if (program.status === 'active') return `${program.name} has already started curtailing.`;
+      if (program.status !== 'notified' || program.calls !== undo.program.calls + 1) return `${program.name} has been released since.`;
+    }
+    if (type === 'overrideCommitment' && args[1] < Math.floor(this.state.tickIndex / this.ticksPerHour)) {
+      return `Plan hour ${args[1]} has already passed.`;
+    }
+    return null;
+  }
+
+  revertAction({ type, args, undo }) {
+    switch (type) {
+      case 'toggleUnit':
+        Object.assign(this.state.thermal.find((u) => u.id === args[0]), undo.unit);
+        if (undo.planOverride && this.state.commitment) this.setPlanOverride(args[0], undo.planOverride.hour, undo.planOverride.previous);
+        break;
+      case 'setStorageMode': {
+        const asset = this.state.storage.find((a) => a.id === args[0]);
+        asset.modeSetting = undo.mode;
+        asset.plannedHour = null;
+        break;
+      }
+      case 'applyOverrides':
+        this.state.overrides = clone(undo.overrides);
+        this.state.links.forEach((link) => {
+          link.limit = (this.state.overrides.tx ?? link.baseLimit) * link.rating;
+        });
+        break;
+      case 'setSecurityConstrained':
+        this.state.security.constrained = undo.constrained;
+        break;
+      case 'setCommitmentPlan':
+      case 'clearCommitmentPlan':
+        this.state.commitment = clone(undo.commitment);
+        break;
+      case 'setCommitmentActive':
+        this.state.commitment.active = undo.active;
+        break;
+      case 'overrideCommitment':
+        this.setPlanOverride(args[0], args[1], undo.previous);
+        break;
+      case 'callDemandResponse':
+        Object.assign(this.state.demandResponse.find((p) => p.id === args[0]), undo.program);
+        break;
+    }
+  }
+
+  undo() {
+    const { history } = this.state;
+    const entry = history.undo.at(-1);
+    if (!entry) return { ok: false, reason: 'Nothing to undo.' };
+    const reason = this.undoBlocker(entry);
+    if (reason) return { ok: false, reason };
+    this.revertAction(entry);
+    history.undo.pop();
+    history.redo.push(entry);
+    this.recordAction('undo', []);
+    return { ok: true, entry };
+  }
+
+  redo() {
+    const { redo } = this.state.history;
+    const entry = redo.at(-1);
+    if (!entry) return { ok: false, reason: 'Nothing to redo.' };
+    const count = this.state.actions.length;
+    const result = this.performAction(entry);
+    if (this.state.actions.length === count) return { ok: false, reason: result?.reason ?? 'That action can no longer be redone.' };
+    this.state.actions.splice(count, 1, { tick: this.state.tickIndex, type: 'redo', args: [] });
+    this.state.history.redo = redo.slice(0, -1);
+    return { ok: true, entry };
+  }
+
+  performAction({ type, args = [] }) {
+    if (!REPLAYABLE_ACTIONS.includes(type)) throw new Error(`Unknown action "${type}".`);
+    return this[type](...clone(args));
+  }
+
+  exportRecording() {
+    return clone({
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      seed: this.scenario.meta.seed,
+      scenario: this.scenario,
+      tickIndex: this.state.tickIndex,
+      actions: this.state.actions
+    });
+  }
+
+  static replay(recording, { untilTick = recording.tickIndex ?? Infinity, options = { headless: true } } = {}) {
+    if (recording?.format !== RECORDING_FORMAT) throw new Error('Not a simulation recording.');
+    if (recording.version > RECORDING_VERSION) throw new Error(`Recording version ${recording.version} is newer than this build supports.`);
+    const legacyError = recording.version < 2 ? legacyUndoError(recording.actions) : null;
+    if (legacyError) throw new Error(`Cannot replay this recording. ${legacyError}`);
+    const scenario = clone(recording.scenario);
+    scenario.meta.seed = recording.seed ?? scenario.meta.seed;
+    const engine = new SimulationEngine(scenario, options);
+    for (const action of recording.actions) {
+      if (action.tick >= untilTick) break;
+      engine.advanceTo(action.tick);
+      engine.performAction(action);
+    }
+    engine.advanceTo(untilTick);
+    return engine;
+  }
+
+  advanceTo(tick) {
+    while (this.state.tickIndex < tick && !this.state.done) {
+      const before = this.state.tickIndex;
+      this.step();
+      if (this.state.tickIndex === before && !this.state.done && !this.running) {
+        throw new Error(`Cannot advance past tick ${before}: the run is not in progress.`);
+      }
     }
   }
 
   startRun(contract) {
     if (!this.preRun) throw new Error('Run already started.');
+    this.recordAction('startRun', [contract]);
     this.state.dayAhead.quantity = contract.quantity;
     this.state.dayAhead.price = contract.price;
     this.preRun = false;
@@ -190,18 +737,203 @@ export class SimulationEngine {
     }
   }
 
-  setBatteryMode(mode) {
-    if (!['charge', 'discharge', 'auto'].includes(mode)) return;
-    const battery = this.state.battery;
-    if (battery.modeSetting === mode) return;
-    if ((mode === 'charge' && battery.socMWh >= battery.energyCapacity - 0.01) || (mode === 'discharge' && battery.socMWh <= 0.01)) {
-      this.state.lastEvent = { time: formatTime(this.state.currentTime), message: `Battery mode change blocked by SOC limits.` };
-      return;
+  setStorageMode(assetId, mode) {
+    if (!['charge', 'discharge', 'auto', 'optimize'].includes(mode)) return false;
+    const asset = this.state.storage.find((a) => a.id === assetId);
+    if (!asset || asset.modeSetting === mode) return false;
+    if (this.storageModeBlocked(asset, mode)) {
+      this.logEvent(`${asset.name} mode change blocked by SOC limits.`, this.state.currentTime);
+      return false;
+    }
+    this.recordAction('setStorageMode', [assetId, mode], { mode: asset.modeSetting });
+    asset.modeSetting = mode;
+    asset.plannedHour = null;
+    return true;
+  }
+
+  callDemandResponse(programId) {
+    const program = this.state.demandResponse.find((p) => p.id === programId);
+    if (!program) return { ok: false, reason: 'Demand-response program not found.' };
+    if (program.status !== 'ready') return { ok: false, reason: `${program.name} is ${DEMAND_RESPONSE_STATUS[program.status]}.` };
+    this.recordAction('callDemandResponse', [programId], { program: { status: program.status, trigger: program.trigger, noticeTicks: program.noticeTicks, calls: program.calls } });
+    this.notifyDemandResponse(program, 'manual');
+    return { ok: true };
+  }
+
+  releaseDemandResponse(programId) {
+    const program = this.state.demandResponse.find((p) => p.id === programId);
+    if (!program) return { ok: false, reason: 'Demand-response program not found.' };
+    if (!['notified', 'active'].includes(program.status)) return { ok: false, reason: `${program.name} is not called.` };
+    this.recordAction('releaseDemandResponse', [programId]);
+    this.endDemandResponse(program, 'by the operator');
+    return { ok: true };
+  }
+
+  notifyDemandResponse(program, trigger) {
+    program.status = 'notified';
+    program.trigger = trigger;
+    program.noticeTicks = this.hoursToTicks(program.noticeHours ?? 0);
+    program.calls += 1;
+    const notice = program.noticeHours ? `curtails in ${program.noticeHours} h` : 'curtails from the next interval';
+    this.logEvent(`${program.name} called${trigger === 'economic' ? ' on price' : ''}; ${notice}.`, this.state.currentTime);
+  }
+
+  endDemandResponse(program, reason) {
+    const rebound = program.status === 'active' ? program.eventMWh * (program.reboundFraction ?? 0) : 0;
+    program.trigger = null;
+    program.deployedMW = 0;
+    if (rebound > 0.001) {
+      const hours = program.reboundHours ?? DEFAULT_REBOUND_HOURS;
+      program.status = 'rebound';
+      program.reboundTicks = this.hoursToTicks(hours);
+      program.reboundMW = rebound / (program.reboundTicks * this.tickHours);
+      this.logEvent(`${program.name} released ${reason}; ${rebound.toFixed(1)} MWh rebounds over ${hours} h.`, this.state.currentTime);
+    } else {
+      program.status = 'ready';
+      this.logEvent(`${program.name} released ${reason}.`, this.state.currentTime);
+    }
+  }
+
+  advanceDemandResponse() {
+    const rebound = {};
+    this.state.demandResponse.forEach((program) => {
+      if (program.status === 'notified') {
+        program.noticeTicks = Math.max(0, program.noticeTicks - 1);
+        if (program.noticeTicks === 0) {
+          program.status = 'active';
+          program.activeTicks = 0;
+          program.eventMWh = 0;
+        }
+      } else if (program.status === 'rebound') {
+        rebound[program.zone] = (rebound[program.zone] || 0) + program.reboundMW;
+        program.reboundMWh += program.reboundMW * this.tickHours;
+        this.state.kpis.demandResponseReboundMWh += program.reboundMW * this.tickHours;
+        program.reboundTicks -= 1;
+        if (program.reboundTicks <= 0) program.status = 'ready';
+      }
+    });
+    return rebound;
+  }
+
+  // DR beyond the spare thermal capacity left on its island is counted as load it kept from being shed.
+  settleDemandResponse(zones, dispatch) {
+    zones.forEach((zone) => {
+      zone.demandResponse = 0;
+    });
+    this.state.demandResponse.forEach((program) => {
+      const zone = zones.find((z) => z.id === program.zone);
+      if (program.status === 'active') {
+        const mw = Math.max(0, dispatch.demandResponse[program.id] || 0);
+        const energy = mw * this.tickHours;
+        program.deployedMW = mw;
+        program.activeTicks += 1;
+        program.eventMWh += energy;
+        program.energyMWh += energy;
+        program.cost += energy * program.price;
+        zone.demandResponse += mw;
+        this.state.kpis.demandResponseMWh += energy;
+        this.state.kpis.demandResponseCost += energy * program.price;
+        this.state.kpis.cash -= energy * program.price;
+        if (program.activeTicks >= this.hoursToTicks(program.maxDurationHours)) {
+          this.endDemandResponse(program, 'after its maximum duration');
+        } else if (program.trigger === 'economic' && mw < 0.001) {
+          this.endDemandResponse(program, 'as prices fell below its activation price');
+        }
+      } else if (program.status === 'ready' && program.dispatch === 'economic' && zone.price >= program.price) {
+        this.notifyDemandResponse(program, 'economic');
+      }
+    });
+    this.networkIslands().forEach((island) => {
+      const members = zones.filter((zone) => island.zones.includes(zone.id));
+      const deployed = members.reduce((sum, zone) => sum + zone.demandResponse, 0);
+      const headroom = members.reduce((sum, zone) => sum + (dispatch.headroom[zone.id] || 0), 0);
+      this.state.kpis.demandResponseAvoidedUnmet += Math.max(0, deployed - headroom) * this.tickHours;
+    });
+  }
+
+  storageModeBlocked(asset, mode) {
+    return (mode === 'charge' && asset.socMWh >= asset.energyCapacity - 0.01) || (mode === 'discharge' && asset.socMWh <= 0.01);
+  }
+
+  priceForecast(startHour = 0) {
+    const expected = this.state.commitment?.plan.expectedPrices;
+    const priceCap = this.scenario.meta.priceCap;
+    return this.commitmentForecast(startHour).map((hour) => {
+      if (expected?.[hour.hour] != null) return expected[hour.hour];
+      const units = this.state.thermal
+        .filter((unit) => unit.outageTicks * this.tickHours <= hour.hour - startHour)
+        .map((unit) => ({ id: unit.id, pmin: 0, pmax: unit.pmax, marginalCost: this.variableCost(unit) }));
+      return meritOrderDispatch(units, hour.netLoad, priceCap).price;
+    });
+  }
+
+  planStorage(asset, startHour) {
+    const prices = this.priceForecast(startHour);
+    const dayEnds = prices.map((_, h) => {
+      const hour = startHour + h;
+      return formatDate(this.tickTime(hour * this.ticksPerHour)) !== formatDate(this.tickTime((hour + 1) * this.ticksPerHour));
+    });
+    const result = planArbitrage({
+      prices,
+      dayEnds,
+      power: asset.power,
+      energyCapacity: asset.energyCapacity,
+      socMWh: asset.socMWh,
+      roundTripEff: asset.roundTripEff,
+      targetSocMWh: asset.targetSocMWh,
+      shortfallPenalty: this.scenario.meta.priceCap,
+      hours: this.ticksPerHour * this.tickHours
+    });
+    result.schedule.forEach((entry, h) => {
+      Object.assign(asset.schedule[startHour + h], { plannedMW: entry.netMW, plannedSocMWh: entry.socMWh });
+    });
+    asset.plannedHour = startHour;
+  }
+
+  hoursToTicks(hours) {
+    return Math.ceil((hours * 60) / this.tickMinutes - 1e-9);
+  }
+
+  startupState(unit) {
+    const offlineHours = unit.offlineTicks * this.tickHours;
+    const thresholds = { hot: 4, warm: 12, ...unit.startupStateHours };
+    if (offlineHours <= thresholds.hot) return 'hot';
+    if (offlineHours <= thresholds.warm) return 'warm';
+    return 'cold';
+  }
+
+  toggleStatus(unit) {
+    if (unit.outageTicks > 0) {
+      return { allowed: false, reason: 'Outage' };
+    }
+    const online = unit.output > 0.001;
+    if (unit.commandOn && online && unit.onlineTicks < this.hoursToTicks(unit.minUpHours || 0)) {
+      const remaining = (this.hoursToTicks(unit.minUpHours) - unit.onlineTicks) * this.tickHours;
+      return { allowed: false, reason: `Minimum up time: ${remaining.toFixed(2)} h remaining` };
     }
-    battery.modeSetting = mode;
+    if (!unit.commandOn && !online && unit.offlineTicks < this.hoursToTicks(unit.minDownHours || 0)) {
+      const remaining = (this.hoursToTicks(unit.minDownHours) - unit.offlineTicks) * this.tickHours;
+      return { allowed: false, reason: `Minimum down time: ${remaining.toFixed(2)} h remaining` };
+    }
+    return { allowed: true, reason: '' };
   }
 
   toggleUnit(unitId) {
+    const result = this.commandUnit(unitId);
+    if (!result.ok) return result;
+    const { commandOn, startingTicks, startState, committed, output } = result.previousState;
+    const undo = { unit: { commandOn, startingTicks, startState }, committed, output, planOverride: null };
+    const commitment = this.state.commitment;
+    if (commitment?.active && unitId in commitment.plan.schedule) {
+      const hour = Math.floor(this.state.tickIndex / this.ticksPerHour);
+      undo.planOverride = { hour, previous: commitment.overrides[unitId]?.[hour] ?? null };
+      this.setPlanOverride(unitId, hour, !commandOn);
+    }
+    this.recordAction('toggleUnit', [unitId], undo);
+    return result;
+  }
+
+  commandUnit(unitId) {
     const unit = this.state.thermal.find((u) => u.id === unitId);
     if (!unit) {
       return { ok: false, reason: 'Unit not found.' };
@@ -209,31 +941,37 @@ export class SimulationEngine {
     if (unit.outageTicks > 0) {
       return { ok: false, reason: 'Unit is on forced outage.' };
     }
-    const previousState = { commandOn: unit.commandOn, committed: unit.committed, output: unit.output };
+    const status = this.toggleStatus(unit);
+    if (!status.allowed) {
+      return { ok: false, reason: `${unit.name}: ${status.reason}.` };
+    }
+    const previousState = { commandOn: unit.commandOn, committed: unit.committed, output: unit.output, startingTicks: unit.startingTicks, startState: unit.startState };
     unit.commandOn = !unit.commandOn;
+    if (unit.commandOn && unit.output <= 0.001) {
+      unit.startingTicks = this.hoursToTicks(unit.startupLeadHours || 0);
+      unit.startState = this.startupState(unit);
+    } else if (!unit.commandOn) {
+      unit.startingTicks = 0;
+      unit.startState = null;
+    }
     return { ok: true, previousState };
   }
 
-  restoreUnitState(unitId, previous) {
-    const unit = this.state.thermal.find((u) => u.id === unitId);
-    if (!unit) return;
-    Object.assign(unit, previous);
-  }
-
   applyOverrides({ gas, reserve, outage, tx }) {
-    if (!Number.isNaN(gas)) {
+    this.recordAction('applyOverrides', [{ gas, reserve, outage, tx }], { overrides: this.state.overrides });
+    if (Number.isFinite(gas)) {
       this.state.overrides.gas = gas;
     }
-    if (!Number.isNaN(reserve)) {
+    if (Number.isFinite(reserve)) {
       this.state.overrides.reserve = reserve;
     }
-    if (!Number.isNaN(outage)) {
+    if (Number.isFinite(outage)) {
       this.state.overrides.outage = outage;
     }
-    if (!Number.isNaN(tx)) {
+    if (Number.isFinite(tx)) {
       this.state.overrides.tx = tx;
       this.state.links.forEach((link) => {
-        link.limit = tx;
+        link.limit = tx * link.rating;
       });
     }
   }
@@ -260,21 +998,352 @@ export class SimulationEngine {
     }
   }
 
+  updateLinks(currentTime, idx) {
+    const multiplier = this.state.overrides.outage || 1;
+    const temperature = this.state.weather.tempSeries[idx];
+    const wind = this.state.weather.windSeries[idx];
+    this.state.links.forEach((link) => {
+      const name = link.name || link.id;
+      if (link.outageTicks > 0) {
+        link.outageTicks -= 1;
+        if (link.outageTicks === 0) this.logEvent(`Line ${name} returned to service.`, currentTime);
+      } else if (link.status === 'in-service' && link.poissonRate > 0) {
+        const probability = 1 - Math.exp(-link.poissonRate * multiplier * this.tickHours);
+        if (this.rng.next() < probability) {
+          const [minHour, maxHour] = link.repairHours || [1, 4];
+          const hours = this.rng.nextRange(minHour, maxHour);
+          link.outageTicks = Math.ceil(hours / this.tickHours);
+          this.logEvent(`Line ${name} forced outage for ${hours.toFixed(1)} hours.`, currentTime);
+        }
+      }
+      const inMaintenance = (link.maintenance || []).some((window) => {
+        const start = new Date(window.start).getTime();
+        return currentTime.getTime() >= start && currentTime.getTime() < start + window.hours * 3600000;
+      });
+      if (inMaintenance && link.status !== 'maintenance' && link.outageTicks === 0) {
+        this.logEvent(`Line ${name} taken out for planned maintenance.`, currentTime);
+      } else if (!inMaintenance && link.status === 'maintenance') {
+        this.logEvent(`Line ${name} returned from maintenance.`, currentTime);
+      }
+      link.status = link.outageTicks > 0 ? 'outage' : inMaintenance ? 'maintenance' : 'in-service';
+      link.rating = dynamicRatingFactor(link.dynamicRating, temperature, wind);
+      link.limit = (this.state.overrides.tx ?? link.baseLimit) * link.rating;
+    });
+  }
+
+  activeLinks() {
+    return this.state.links.filter((link) => link.status === 'in-service');
+  }
+
   logEvent(message, time) {
     const id = this.state.eventCounter++;
-    const event = { id, time: formatTime(time), message };
+    const event = { id, time: formatTime(time), date: formatDate(time), message };
     this.state.events.push(event);
     this.state.lastEvent = event;
   }
 
-  runHeadless() {
-    this.startRun({ quantity: 0, price: this.scenario.meta.dayAheadDefaultPrice });
+  commitmentForecast(startHour = 0) {
+    const hours = [];
+    for (let hour = startHour; hour < this.totalHours; hour++) {
+      let load = 0;
+      let renewable = 0;
+      let ticks = 0;
+      for (let idx = hour * this.ticksPerHour; idx < Math.min(this.totalTicks, (hour + 1) * this.ticksPerHour); idx++) {
+        this.scenario.zones.forEach((zoneConfig) => {
+          load += Math.max(50, this.expectedZoneLoad(zoneConfig, idx));
+          renewable += this.computeRenewables(zoneConfig.id, idx);
+        });
+        ticks += 1;
+      }
+      hours.push({ hour, time: this.tickTime(hour * this.ticksPerHour).toISOString(), load: load / ticks, renewable: renewable / ticks, netLoad: (load - renewable) / ticks });
+    }
+    return hours;
+  }
+
+  prepareForecasts() {
+    const rng = new RNG((this.scenario.meta.seed ^ FORECAST_SALT) >>> 0);
+    const { solar, wind } = this.scenario.renewables;
+    const capacity = Object.fromEntries(
+      this.scenario.zones.map((zone) => [zone.id, [...solar, ...wind].filter((plant) => plant.zone === zone.id).reduce((sum, plant) => sum + plant.pmax, 0)])
+    );
+    const hours = [];
+    for (let hour = 0; hour < this.totalHours; hour++) {
+      const zones = {};
+      this.scenario.zones.forEach((zoneConfig) => {
+        let load = 0;
+        let renewable = 0;
+        let ticks = 0;
+        for (let idx = hour * this.ticksPerHour; idx < Math.min(this.totalTicks, (hour + 1) * this.ticksPerHour); idx++) {
+          load += Math.max(50, this.expectedZoneLoad(zoneConfig, idx));
+          renewable += this.computeRenewables(zoneConfig.id, idx);
+          ticks += 1;
+        }
+        const drift = () => {
+          const sums = [0];
+          for (let step = 1; step <= FORECAST_SATURATION_HOURS; step++) sums.push(sums[step - 1] + rng.normal());
+          return sums;
+        };
+        zones[zoneConfig.id] = { load: load / ticks, renewable: renewable / ticks, drift: { load: drift(), renewable: drift() } };
+      });
+      hours.push(zones);
+    }
+    this.forecastBasis = { capacity, hours };
+  }
+
+  forecastHour(hour, issueHour) {
+    const steps = Math.min(FORECAST_SATURATION_HOURS, Math.max(0, hour - issueHour));
+    const spread = Math.sqrt(steps / FORECAST_SATURATION_HOURS);
+    const band = (p50, sigma, max = Infinity) => ({
+      p10: Math.min(max, Math.max(0, p50 - FORECAST_Z90 * sigma)),
+      p50,
+      p90: Math.min(max, Math.max(0, p50 + FORECAST_Z90 * sigma))
+    });
+    const zones = {};
+    const totals = { load: 0, renewable: 0, loadVariance: 0, renewableVariance: 0 };
+    Object.entries(this.forecastBasis.hours[hour]).forEach(([zoneId, truth]) => {
+      const capacity = this.forecastBasis.capacity[zoneId];
+      const error = (kind) => (FORECAST_ERROR[kind] * truth.drift[kind][steps]) / Math.sqrt(FORECAST_SATURATION_HOURS);
+      const loadSigma = FORECAST_ERROR.load * spread * truth.load;
+      const renewableSigma = FORECAST_ERROR.renewable * spread * truth.renewable;
+      const load = truth.load * (1 + error('load'));
+      const renewable = Math.min(capacity, Math.max(0, truth.renewable * (1 + error('renewable'))));
+      zones[zoneId] = { load: band(load, loadSigma), renewable: band(renewable, renewableSigma, capacity) };
+      totals.load += load;
+      totals.renewable += renewable;
+      totals.loadVariance += loadSigma ** 2;
+      totals.renewableVariance += renewableSigma ** 2;
+    });
+    const netLoadSigma = Math.sqrt(totals.loadVariance + totals.renewableVariance);
+    const netLoad = totals.load - totals.renewable;
+    return {
+      hour,
+      issueHour,
+      time: this.tickTime(hour * this.ticksPerHour).toISOString(),
+      load: band(totals.load, Math.sqrt(totals.loadVariance)),
+      renewable: band(totals.renewable, Math.sqrt(totals.renewableVariance)),
+      netLoad: { p10: netLoad - FORECAST_Z90 * netLoadSigma, p50: netLoad, p90: netLoad + FORECAST_Z90 * netLoadSigma },
+      zones
+    };
+  }
+
+  dayAheadIssueHour(hour) {
+    return Math.max(0, Math.floor(hour / 24) * 24 - 24);
+  }
+
+  dayAheadForecast() {
+    return Array.from({ length: this.totalHours }, (_, hour) => this.forecastHour(hour, this.dayAheadIssueHour(hour)));
+  }
+
+  intradayForecast(issueHour = Math.min(this.totalHours - 1, Math.floor(this.state.tickIndex / this.ticksPerHour)), hours = INTRADAY_HOURS) {
+    const end = Math.min(this.totalHours, issueHour + hours);
+    return Array.from({ length: Math.max(0, end - issueHour) }, (_, offset) => this.forecastHour(issueHour + offset, issueHour));
+  }
+
+  actualHourly() {
+    const hours = [];
+    this.state.tickLog.forEach((entry, idx) => {
+      const hour = Math.floor(idx / this.ticksPerHour);
+      if (!hours[hour]) hours[hour] = { hour, ticks: 0, load: 0, renewable: 0, complete: false, zones: {} };
+      const bucket = hours[hour];
+      bucket.ticks += 1;
+      Object.entries(entry.zones).forEach(([zoneId, zone]) => {
+        bucket.zones[zoneId] = bucket.zones[zoneId] || { load: 0, renewable: 0 };
+        bucket.zones[zoneId].load += zone.load;
+        bucket.zones[zoneId].renewable += zone.renewable;
+        bucket.load += zone.load;
+        bucket.renewable += zone.renewable;
+      });
+    });
+    return hours.map((bucket) => {
+      const expected = Math.min(this.totalTicks, (bucket.hour + 1) * this.ticksPerHour) - bucket.hour * this.ticksPerHour;
+      const zones = Object.fromEntries(
+        Object.entries(bucket.zones).map(([zoneId, zone]) => [zoneId, { load: zone.load / bucket.ticks, renewable: zone.renewable / bucket.ticks }])
+      );
+      return { hour: bucket.hour, load: bucket.load / bucket.ticks, renewable: bucket.renewable / bucket.ticks, zones, complete: bucket.ticks === expected };
+    });
+  }
+
+  forecastReport() {
+    const actual = this.actualHourly().filter((hour) => hour.complete);
+    const measure = (issueFor, kind) => {
+      if (!actual.length) return { mae: null, bias: null, coverage: null };
+      let absolute = 0;
+      let signed = 0;
+      let covered = 0;
+      actual.forEach((hour) => {
+        const forecast = this.forecastHour(hour.hour, issueFor(hour.hour))[kind];
+        absolute += Math.abs(forecast.p50 - hour[kind]);
+        signed += forecast.p50 - hour[kind];
+        if (hour[kind] >= forecast.p10 - 1e-6 && hour[kind] <= forecast.p90 + 1e-6) covered += 1;
+      });
+      return { mae: absolute / actual.length, bias: signed / actual.length, coverage: covered / actual.length };
+    };
+    const dayAhead = (hour) => this.dayAheadIssueHour(hour);
+    const hourAhead = (hour) => Math.max(0, hour - 1);
+    return {
+      hours: actual.length,
+      dayAhead: { load: measure(dayAhead, 'load'), renewable: measure(dayAhead, 'renewable') },
+      hourAhead: { load: measure(hourAhead, 'load'), renewable: measure(hourAhead, 'renewable') }
+    };
+  }
+
+  solveCommitmentPlan() {
+    const startHour = Math.min(this.totalHours - 1, Math.floor(this.state.tickIndex / this.ticksPerHour));
+    const hours = this.commitmentForecast(startHour);
+    const units = this.state.thermal.map((unit) => {
+      const online = unit.output > 0.001 || (unit.commandOn && unit.startingTicks === 0);
+      return {
+        id: unit.id,
+        pmin: unit.pmin,
+        pmax: unit.pmax,
+        marginalCost: this.variableCost(unit),
+        noLoadCost: unit.noLoadCost || 0,
+        startupCost: unit.startupCost,
+        startupStateHours: unit.startupStateHours,
+        minUpHours: unit.minUpHours,
+        minDownHours: unit.minDownHours,
+        startupLeadHours: unit.commandOn ? unit.startingTicks * this.tickHours : unit.startupLeadHours,
+        initialOnline: online,
+        initialHours: (online ? unit.onlineTicks : unit.offlineTicks) * this.tickHours,
+        outageHours: unit.outageTicks * this.tickHours
+      };
+    });
+    const spinning = this.reserveProducts().filter((product) => product.type === 'spinning');
+    const result = solveUnitCommitment({
+      units,
+      hours,
+      reserveFraction: spinning.reduce((sum, product) => sum + product.percent, 0) / 100,
+      reserveShortfallCost: spinning.length ? Math.max(...spinning.map((product) => product.demandCurve.reduce((sum, [fraction, price]) => sum + fraction * price, 0))) : 0,
+      priceCap: this.scenario.meta.priceCap
+    });
+    const previous = this.state.commitment?.plan;
+    const schedule = {};
+    this.state.thermal.forEach((unit) => {
+      const past = previous?.schedule[unit.id]?.slice(0, startHour) ?? new Array(startHour).fill(false);
+      schedule[unit.id] = [...past, ...result.schedule[unit.id]];
+    });
+    return {
+      startHour,
+      hours: hours.map((hour) => ({ ...hour })),
+      schedule,
+      expectedPrices: [...new Array(startHour).fill(null), ...result.prices],
+      cost: result.cost
+    };
+  }
+
+  setCommitmentPlan(plan, { active = true } = {}) {
+    this.recordAction('setCommitmentPlan', [plan, { active }], { commitment: this.state.commitment });
+    this.state.commitment = { plan: clone(plan), overrides: {}, active };
+  }
+
+  setCommitmentActive(active) {
+    if (!this.state.commitment) return;
+    this.recordAction('setCommitmentActive', [active], { active: this.state.commitment.active });
+    this.state.commitment.active = active;
+  }
+
+  clearCommitmentPlan() {
+    this.recordAction('clearCommitmentPlan', [], { commitment: this.state.commitment });
+    this.state.commitment = null;
+  }
+
+  overrideCommitment(unitId, hour, on) {
+    const commitment = this.state.commitment;
+    if (!commitment || !(unitId in commitment.plan.schedule) || hour < 0 || hour >= this.totalHours) return false;
+    this.recordAction('overrideCommitment', [unitId, hour, on], { previous: commitment.overrides[unitId]?.[hour] ?? null });
+    this.setPlanOverride(unitId, hour, on);
+    return true;
+  }
+
+  setPlanOverride(unitId, hour, on) {
+    const { plan, overrides } = this.state.commitment;
+    overrides[unitId] = overrides[unitId] || {};
+    if (on === null || plan.schedule[unitId][hour] === on) {
+      delete overrides[unitId][hour];
+    } else {
+      overrides[unitId][hour] = on;
+    }
+  }
+
+  plannedCommitment(unitId, hour) {
+    const commitment = this.state.commitment;
+    if (!commitment) return null;
+    const override = commitment.overrides[unitId]?.[hour];
+    return override ?? commitment.plan.schedule[unitId]?.[hour] ?? false;
+  }
+
+  followCommitmentPlan() {
+    if (!this.state.commitment?.active) return;
+    this.state.thermal.forEach((unit) => {
+      if (unit.outageTicks > 0) return;
+      const lookahead = unit.commandOn ? unit.startingTicks : this.hoursToTicks(unit.startupLeadHours || 0);
+      const hour = Math.min(this.totalHours - 1, Math.floor((this.state.tickIndex + lookahead) / this.ticksPerHour));
+      if (this.plannedCommitment(unit.id, hour) !== unit.commandOn) {
+        this.commandUnit(unit.id);
+      }
+    });
+  }
+
+  evaluateCommitmentPlan(contract) {
+    const shadow = new SimulationEngine(this.scenario, { headless: true });
+    shadow.state.commitment = clone(this.state.commitment);
+    shadow.state.commitment.active = true;
+    shadow.startRun(contract);
+    while (!shadow.state.done) {
+      shadow.step();
+    }
+    return { score: shadow.computeScore(), kpis: { ...shadow.state.kpis } };
+  }
+
+  runHeadless({ contract, actions = [], strategy = null } = {}) {
+    this.startRun(contract ?? strategy?.bid?.(this.strategyContext()) ?? { quantity: 0, price: this.scenario.meta.dayAheadDefaultPrice });
+    const script = [...actions].sort((a, b) => a.tick - b.tick);
+    let next = 0;
     while (!this.state.done) {
+      for (; next < script.length && script[next].tick <= this.state.tickIndex; next++) {
+        const action = script[next];
+        const result = this.performAction(action);
+        if (result === false || result?.ok === false) {
+          this.logEvent(`Scripted ${action.type} at tick ${action.tick} was rejected${result.reason ? `: ${result.reason}` : '.'}`, this.state.currentTime);
+        }
+      }
+      if (strategy) this.consultStrategy(strategy);
       this.step();
     }
     return this.computeScore();
   }
 
+  strategyContext() {
+    const hour = Math.min(this.totalHours - 1, Math.floor(this.state.tickIndex / this.ticksPerHour));
+    return {
+      tick: this.state.tickIndex,
+      hour,
+      tickHours: this.tickHours,
+      preRun: this.preRun,
+      reservePercent: this.state.overrides.reserve ?? this.scenario.meta.reservePercent,
+      priceCap: this.scenario.meta.priceCap,
+      defaultPrice: this.scenario.meta.dayAheadDefaultPrice,
+      snapshot: this.latestSnapshot,
+      forecast: this.intradayForecast(hour, STRATEGY_LOOKAHEAD_HOURS).map((entry) => ({
+        hour: entry.hour,
+        time: entry.time,
+        load: entry.load.p50,
+        renewable: entry.renewable.p50,
+        netLoad: entry.netLoad.p50,
+        bands: { load: entry.load, renewable: entry.renewable, netLoad: entry.netLoad }
+      })),
+      priceForecast: () => this.priceForecast(hour)
+    };
+  }
+
+  consultStrategy(strategy) {
+    const decisions = strategy.decide(this.strategyContext()) ?? [];
+    return decisions.map((decision) => {
+      if (!STRATEGY_ACTIONS.includes(decision.type)) throw new Error(`${strategy.name ?? 'Strategy'} returned unsupported action "${decision.type}".`);
+      return { ...decision, result: this.performAction(decision) };
+    });
+  }
+
   step() {
     if (this.state.done) {
       return { ...this.latestSnapshot, done: true };
@@ -299,26 +1368,22 @@ export class SimulationEngine {
       return { done: true };
     }
     const currentTime = new Date(this.state.currentTime);
-    const temperature = this.state.weather.tempSeries[idx];
-    const wind = this.state.weather.windSeries[idx];
-    const solar = this.state.weather.solarSeries[idx];
 
-    const zoneStates = this.state.zones.map((zone) => ({ id: zone.id, name: zone.name, load: 0, price: 0, renewable: 0, netLoad: 0, congestionAdder: 0 }));
+    const zoneStates = this.state.zones.map((zone) => ({ id: zone.id, name: zone.name, load: 0, price: 0, renewable: 0, netLoad: 0 }));
 
     // Load & renewables
+    const rebound = this.advanceDemandResponse();
     zoneStates.forEach((zoneState) => {
       const zoneConfig = this.scenario.zones.find((z) => z.id === zoneState.id);
-      const baseLoad = zoneConfig.baseLoad + timeOfDayCurve(idx, this.totalTicks);
-      const tempSensitivity = zoneConfig.tempSensitivity;
       const noise = this.rng.normal(0, 8);
-      const load = Math.max(50, baseLoad + tempSensitivity * (temperature - this.scenario.weather.temperature.base) + noise);
+      const load = Math.max(50, this.expectedZoneLoad(zoneConfig, idx) + noise) + (rebound[zoneState.id] || 0);
       zoneState.load = load;
-      const zoneRenewables = this.computeRenewables(zoneState.id, solar, wind);
-      zoneState.renewable = zoneRenewables;
-      zoneState.netLoad = Math.max(0, load - zoneRenewables);
+      zoneState.plants = this.renewableAvailability(zoneState.id, idx);
+      zoneState.renewable = zoneState.plants.reduce((sum, { available }) => sum + available, 0);
+      zoneState.netLoad = Math.max(0, load - zoneState.renewable);
     });
 
-    const batteryDispatch = this.dispatchBattery(zoneStates);
+    const storageDispatch = this.dispatchStorage(zoneStates);
 
     // Thermal units ramping & outages
     this.state.thermal.forEach((unit) => {
@@ -327,22 +1392,31 @@ export class SimulationEngine {
         unit.commandOn = false;
         unit.committed = false;
         unit.output = 0;
+        unit.startingTicks = 0;
+        unit.startState = null;
       }
     });
+    this.updateLinks(currentTime, idx);
+    this.followCommitmentPlan();
 
-    const zoneAllocations = this.dispatchThermal(zoneStates);
-    const transmission = this.balanceTransmission(zoneStates, zoneAllocations, batteryDispatch);
+    const dispatch = this.economicDispatch(zoneStates, storageDispatch);
+    const zoneAllocations = dispatch.allocations;
+    const transmission = this.balanceTransmission(zoneStates, dispatch);
     const unmetLoad = zoneStates.reduce((sum, z) => sum + Math.max(0, z.netLoad), 0);
 
     // Pricing and KPIs
-    const reservePercent = (this.state.overrides.reserve ?? this.scenario.meta.reservePercent) / 100;
+    const prices = this.computeLocationalPrices(zoneStates, dispatch);
     zoneStates.forEach((zone) => {
-      const requirement = zone.load * reservePercent;
-      zone.reserveShort = Math.max(0, requirement - (zoneAllocations[zone.id]?.reserve || 0));
-      zone.price = this.computePrice(zone, unmetLoad > 0);
-      if (zone.congestionAdder > 0) zone.price += zone.congestionAdder;
-      zone.price = Math.min(zone.price, this.scenario.meta.priceCap);
+      zone.reserveShort = dispatch.reserves.zoneShortfall[zone.id] || 0;
+      zone.reservePrices = dispatch.reserves.prices[zone.id];
+      zone.price = prices[zone.id].lmp;
+      zone.lmp = { energy: prices[zone.id].energy, congestion: prices[zone.id].congestion, loss: prices[zone.id].loss };
     });
+    this.recordCurtailment(zoneStates, dispatch.curtailed);
+    this.settleDemandResponse(zoneStates, dispatch);
+    this.rotateShedding(zoneStates, dispatch.shed, currentTime);
+    this.state.reserves = this.summarizeReserves(dispatch.reserves);
+    this.recordSecurity(this.contingencyAnalysis(zoneStates, dispatch, storageDispatch), currentTime);
 
     const priceSample = {};
     zoneStates.forEach((zone) => {
@@ -351,16 +1425,24 @@ export class SimulationEngine {
     this.state.priceHistory.push(priceSample);
     if (this.state.priceHistory.length > this.totalTicks) this.state.priceHistory.shift();
 
-    const servedLoad = zoneStates.reduce((sum, zone) => sum + Math.max(0, zone.load - zone.netLoad), 0);
+    const servedLoad = zoneStates.reduce((sum, zone) => sum + Math.max(0, zone.load - zone.netLoad - zone.demandResponse), 0);
 
     this.state.kpis.unmet += unmetLoad * this.tickHours;
-    this.state.kpis.priceSum += zoneStates.reduce((sum, zone) => sum + zone.price, 0) / zoneStates.length;
+    const systemPrice = zoneStates.reduce((sum, zone) => sum + zone.price, 0) / zoneStates.length;
+    this.state.kpis.priceSum += systemPrice;
     this.state.kpis.priceCount += 1;
+    this.accumulateDayAhead(currentTime, systemPrice);
     this.state.kpis.totalLoad += zoneStates.reduce((sum, z) => sum + z.load, 0) * this.tickHours;
     this.state.kpis.loadServed += servedLoad * this.tickHours;
 
-    const { fuelExpense, vomExpense, emissions, revenue } = this.computeCosts(zoneStates, zoneAllocations);
-    this.state.kpis.cash += revenue - fuelExpense - vomExpense;
+    const { fuelExpense, vomExpense, startupExpense, noLoadExpense, starts, emissions, revenue } = this.computeCosts(zoneStates, zoneAllocations);
+    this.state.kpis.cash += revenue + this.state.reserves.revenue - fuelExpense - vomExpense - startupExpense - noLoadExpense;
+    this.state.kpis.reserveRevenue += this.state.reserves.revenue;
+    this.state.kpis.reserveShortfall += this.state.reserves.shortfall * this.tickHours;
+    this.state.kpis.reserveRequirement += this.state.reserves.requirement * this.tickHours;
+    this.state.kpis.startupExpense += startupExpense;
+    this.state.kpis.noLoadExpense += noLoadExpense;
+    this.state.kpis.starts += starts;
     this.state.kpis.energyRevenue += revenue;
     this.state.kpis.fuelExpense += fuelExpense;
     this.state.kpis.vomExpense += vomExpense;
@@ -369,7 +1451,9 @@ export class SimulationEngine {
     if (transmission.congested) {
       this.state.kpis.congestedTicks += 1;
     }
-    this.state.kpis.batteryThroughput += batteryDispatch.throughput;
+    this.state.kpis.storageThroughput += storageDispatch.throughput;
+    this.state.kpis.degradationCost += storageDispatch.degradationCost;
+    this.state.kpis.cash -= storageDispatch.degradationCost;
 
     this.state.zones = this.state.zones.map((zone, idx) => ({
       ...zone,
@@ -377,13 +1461,18 @@ export class SimulationEngine {
       price: zoneStates[idx].price,
       renewable: zoneStates[idx].renewable,
       netLoad: zoneStates[idx].netLoad,
+      lmp: zoneStates[idx].lmp,
+      reservePrices: zoneStates[idx].reservePrices,
       congested: zoneStates[idx].congested || false
     }));
 
-    this.recordTickLog(currentTime, zoneStates, transmission, batteryDispatch);
+    this.recordTickLog(currentTime, zoneStates, transmission, storageDispatch);
 
     this.state.tickIndex += 1;
     this.state.currentTime = new Date(currentTime.getTime() + this.tickMinutes * 60000);
+    if (formatDate(this.state.currentTime) !== this.state.dayAhead.openDay?.date) {
+      this.settleDayAhead();
+    }
 
     if (this.state.tickIndex >= this.totalTicks) {
       this.finalizeRun();
@@ -392,16 +1481,33 @@ export class SimulationEngine {
     return { done: false };
   }
 
-  dispatchBattery(zones) {
-    const battery = this.state.battery;
-    const eff = Math.sqrt(battery.roundTripEff || 0.9);
+  dispatchStorage(zones) {
+    const hour = Math.min(this.totalHours - 1, Math.floor(this.state.tickIndex / this.ticksPerHour));
+    const result = { assets: {}, zones: {}, chargeMW: 0, dischargeMW: 0, throughput: 0, degradationCost: 0 };
+    this.state.storage.forEach((asset) => {
+      const assetDispatch = this.dispatchStorageAsset(asset, zones, hour);
+      result.assets[asset.id] = assetDispatch;
+      const zoneTotals = result.zones[asset.zone] || { chargeMW: 0, dischargeMW: 0 };
+      zoneTotals.chargeMW += assetDispatch.chargeMW;
+      zoneTotals.dischargeMW += assetDispatch.dischargeMW;
+      result.zones[asset.zone] = zoneTotals;
+      result.chargeMW += assetDispatch.chargeMW;
+      result.dischargeMW += assetDispatch.dischargeMW;
+      result.throughput += (assetDispatch.chargeMW + assetDispatch.dischargeMW) * this.tickHours;
+      result.degradationCost += assetDispatch.degradationCost;
+    });
+    return result;
+  }
+
+  dispatchStorageAsset(asset, zones, hour) {
+    const eff = Math.sqrt(asset.roundTripEff);
     let chargeMW = 0;
     let dischargeMW = 0;
     let mode = 'idle';
-    const availableCharge = Math.max(0, battery.energyCapacity - battery.socMWh) / this.tickHours;
-    const availableDischarge = battery.socMWh / this.tickHours;
-    const setMode = battery.modeSetting;
-    const anchorZone = zones.find((z) => z.id === battery.zone);
+    const availableCharge = Math.max(0, asset.energyCapacity - asset.socMWh) / this.tickHours;
+    const availableDischarge = asset.socMWh / this.tickHours;
+    const setMode = asset.modeSetting;
+    const anchorZone = zones.find((z) => z.id === asset.zone);
     const netLoadDeviation = anchorZone ? anchorZone.netLoad - anchorZone.load * 0.9 : 0;
 
     const autoDecision = () => {
@@ -411,179 +1517,763 @@ export class SimulationEngine {
       return 'idle';
     };
 
-    const desired = setMode === 'auto' ? autoDecision() : setMode;
+    let plannedMW = null;
+    if (setMode === 'optimize') {
+      if (asset.plannedHour !== hour) this.planStorage(asset, hour);
+      plannedMW = asset.schedule[hour].plannedMW;
+    }
+    const optimizeDecision = () => (plannedMW > 0.01 ? 'discharge' : plannedMW < -0.01 ? 'charge' : 'idle');
+    const desired = setMode === 'auto' ? autoDecision() : setMode === 'optimize' ? optimizeDecision() : setMode;
+    const powerLimit = plannedMW === null ? asset.power : Math.min(asset.power, Math.abs(plannedMW));
+    const startSoc = asset.socMWh;
 
     if (desired === 'charge' && availableCharge > 0.01) {
-      chargeMW = Math.min(battery.power, availableCharge);
+      chargeMW = Math.min(powerLimit, availableCharge);
       const energyAdded = chargeMW * this.tickHours * eff;
-      battery.socMWh = Math.min(battery.energyCapacity, battery.socMWh + energyAdded);
+      asset.socMWh = Math.min(asset.energyCapacity, asset.socMWh + energyAdded);
       mode = 'charge';
     } else if (desired === 'discharge' && availableDischarge > 0.01) {
-      dischargeMW = Math.min(battery.power, availableDischarge);
+      dischargeMW = Math.min(powerLimit, availableDischarge);
       const energyRemoved = dischargeMW * this.tickHours / eff;
-      battery.socMWh = Math.max(0, battery.socMWh - energyRemoved);
+      asset.socMWh = Math.max(0, asset.socMWh - energyRemoved);
       mode = 'discharge';
     } else {
       mode = 'idle';
     }
 
-    battery.mode = mode;
+    asset.mode = mode;
+    asset.throughputMWh += (chargeMW + dischargeMW) * this.tickHours;
+    asset.schedule[hour].actualMWh += (dischargeMW - chargeMW) * this.tickHours;
+    asset.schedule[hour].socMWh = asset.socMWh;
+    const degradationCost = mode !== 'idle' && mode !== asset.cycle.direction ? this.closeStorageCycle(asset, startSoc, mode) : 0;
+
+    if (anchorZone) {
+      anchorZone.netLoad = Math.max(0, anchorZone.netLoad + chargeMW - dischargeMW);
+    }
+
+    return { chargeMW, dischargeMW, mode, degradationCost };
+  }
+
+  closeStorageCycle(asset, socMWh, nextDirection = null) {
+    let cost = 0;
+    if (asset.cycle.direction) {
+      const depth = Math.min(1, Math.abs(socMWh - asset.cycle.startSocMWh) / asset.energyCapacity);
+      if (depth > 1e-6) {
+        const lifeUsed = 0.5 / cycleLifeAt(asset.cycleLife, depth);
+        cost = lifeUsed * asset.replacementCostPerMWh * asset.energyCapacity;
+        asset.lifeUsed += lifeUsed;
+        asset.degradationCost += cost;
+      }
+    }
+    asset.cycle = { direction: nextDirection, startSocMWh: socMWh };
+    return cost;
+  }
+
+  renewableAvailability(zoneId, idx) {
+    const site = this.state.weather.zones[zoneId];
+    const { referenceHeight = DEFAULT_HUB_HEIGHT, shearExponent = DEFAULT_SHEAR_EXPONENT } = this.scenario.weather.wind;
+    const solar = this.scenario.renewables.solar
+      .filter((plant) => plant.zone === zoneId)
+      .map((plant) => ({ plant, kind: 'solar', available: plant.pmax * site.irradiance[idx] }));
+    const wind = this.scenario.renewables.wind
+      .filter((plant) => plant.zone === zoneId)
+      .map((plant) => {
+        const hubSpeed = site.wind[idx] * ((plant.hubHeight ?? referenceHeight) / referenceHeight) ** shearExponent;
+        return { plant, kind: 'wind', available: plant.pmax * windPowerFraction(plant, hubSpeed) };
+      });
+    return [...solar, ...wind];
+  }
 
+  computeRenewables(zoneId, idx) {
+    return this.renewableAvailability(zoneId, idx).reduce((sum, { available }) => sum + available, 0);
+  }
+
+  // Curtailment is congestion-driven when another zone on the same island paid more for energy than this one.
+  recordCurtailment(zones, curtailed) {
+    const islandPrice = {};
+    this.networkIslands().forEach((island) => {
+      const top = Math.max(...zones.filter((zone) => island.zones.includes(zone.id)).map((zone) => zone.price));
+      island.zones.forEach((zoneId) => {
+        islandPrice[zoneId] = top;
+      });
+    });
     zones.forEach((zone) => {
-      if (zone.id === battery.zone) {
-        zone.netLoad = Math.max(0, zone.netLoad + chargeMW - dischargeMW);
+      const cause = islandPrice[zone.id] - zone.price > CURTAILMENT_PRICE_GAP ? 'congestion' : 'economic';
+      zone.curtailed = 0;
+      zone.plants.forEach(({ plant, available }) => {
+        const mw = Math.min(available, Math.max(0, curtailed[plant.id] || 0));
+        const record = this.state.renewables.find((entry) => entry.id === plant.id);
+        record.availableMWh += available * this.tickHours;
+        record.deliveredMWh += (available - mw) * this.tickHours;
+        record.curtailed[cause] += mw * this.tickHours;
+        zone.curtailed += mw;
+      });
+      if (cause === 'congestion') {
+        this.state.kpis.curtailedCongestion += zone.curtailed * this.tickHours;
+      } else {
+        this.state.kpis.curtailedEconomic += zone.curtailed * this.tickHours;
+      }
+    });
+  }
+
+  // Blocks dark for a full rotation hand over to the blocks with the least outage time so far. A class counts as
+  // restored once it has stayed whole for a rotation, so brief flickers fold into one logged event.
+  rotateShedding(zones, shed, time) {
+    const rotationTicks = this.hoursToTicks(this.scenario.meta.rotationHours ?? DEFAULT_ROTATION_HOURS);
+    this.state.shedding.forEach((entry) => {
+      const zone = zones.find((z) => z.id === entry.zone);
+      const label = `${zone.name} ${entry.customerClass}`;
+      const mw = shed[entry.id] || 0;
+      const blockMW = (entry.share * zone.load) / entry.blocks.length;
+      const needed = mw > 0.01 ? Math.min(entry.blocks.length, Math.ceil(mw / blockMW - 1e-6)) : 0;
+      const held = (block) => (block.dark && block.outTicks < rotationTicks ? 0 : 1);
+      const dark = new Set(
+        entry.blocks
+          .map((block, idx) => ({ block, idx }))
+          .sort((a, b) => held(a.block) - held(b.block) || a.block.darkTicks - b.block.darkTicks || a.idx - b.idx)
+          .slice(0, needed)
+          .map(({ block }) => block)
+      );
+      if (needed && !entry.shedding) {
+        entry.events += 1;
+        entry.eventStart = this.state.tickIndex;
+        entry.eventOutages = 0;
+        this.logEvent(`Shedding ${label} load: ${mw.toFixed(1)} MW across ${needed} of ${entry.blocks.length} blocks (VOLL $${entry.voll.toFixed(0)}/MWh).`, time);
       }
+      entry.blocks.forEach((block) => {
+        if (dark.has(block)) {
+          if (!block.dark) {
+            block.outages += 1;
+            entry.eventOutages += 1;
+          }
+          block.dark = true;
+          block.outTicks += 1;
+          block.darkTicks += 1;
+          entry.longestOutageTicks = Math.max(entry.longestOutageTicks, block.outTicks);
+        } else {
+          block.dark = false;
+          block.outTicks = 0;
+        }
+      });
+      if (needed) {
+        entry.shedding = true;
+        entry.lastShedTick = this.state.tickIndex;
+      } else if (entry.shedding && this.state.tickIndex - entry.lastShedTick >= rotationTicks) {
+        const hours = (entry.lastShedTick + 1 - entry.eventStart) * this.tickHours;
+        this.logEvent(`${label} load restored after ${hours.toFixed(2)} h (${entry.eventOutages} block outage${entry.eventOutages === 1 ? '' : 's'}).`, time);
+        entry.shedding = false;
+      }
+      entry.shedMW = mw;
+      entry.shedMWh += mw * this.tickHours;
+      entry.cost += mw * this.tickHours * entry.voll;
+      if (needed) entry.shedTicks += 1;
+      this.state.kpis.sheddingCost += mw * this.tickHours * entry.voll;
     });
+  }
 
-    return { chargeMW, dischargeMW, mode, throughput: (chargeMW + dischargeMW) * this.tickHours };
+  reserveProducts() {
+    const configured = this.scenario.reserves ?? [
+      { id: 'spinning', name: 'Spinning', type: 'spinning', scope: 'zone', percent: this.scenario.meta.reservePercent, demandCurve: [[1, RESERVE_SHORTFALL_COST]] }
+    ];
+    return configured
+      .map((product) => ({
+        name: product.id,
+        scope: 'zone',
+        demandCurve: [[1, RESERVE_SHORTFALL_COST]],
+        ...product,
+        percent: product.type === 'spinning' ? this.state.overrides.reserve ?? product.percent : product.percent
+      }))
+      .sort((a, b) => (a.type === 'spinning' ? 0 : 1) - (b.type === 'spinning' ? 0 : 1));
   }
 
-  computeRenewables(zoneId, solar, windSpeed) {
-    const solarPlants = this.scenario.renewables.solar.filter((s) => s.zone === zoneId);
-    const windPlants = this.scenario.renewables.wind.filter((w) => w.zone === zoneId);
-    let total = 0;
-    solarPlants.forEach((plant) => {
-      const daylight = Math.max(0, solar);
-      const output = Math.min(plant.pmax, plant.pmax * daylight);
-      total += output;
+  storageHeadroom(asset, { chargeMW, dischargeMW }, sustainHours = 1) {
+    const sustainable = (asset.socMWh * Math.sqrt(asset.roundTripEff)) / sustainHours;
+    return Math.max(0, Math.min(asset.power, sustainable) - dischargeMW + chargeMW);
+  }
+
+  reserveGroups(product, zones) {
+    if (product.scope === 'system') return [{ key: 'system', zones: zones.map((zone) => zone.id) }];
+    return zones.map((zone) => ({ key: zone.id, zones: [zone.id] }));
+  }
+
+  addReserveMarket(lp, zones, unitIndex, storageDispatch) {
+    const products = this.reserveProducts();
+    const providers = [];
+    products.forEach((product) => {
+      unitIndex.forEach(({ unit, output, range }) => {
+        if (product.type === 'spinning' && range.reserveMax > 0) {
+          const variable = lp.addVariable({ cost: 0, upper: range.reserveMax, name: `${product.id}:${unit.id}` });
+          lp.addConstraint({ [output]: 1, [variable]: 1 }, '<=', range.maxOutput);
+          providers.push({ product, zone: unit.zone, id: unit.id, variable });
+        }
+        if (product.type === 'nonSpinning' && range.offlineCapacity > 0 && (unit.startupLeadHours || 0) <= (product.maxStartHours ?? 0.25)) {
+          const variable = lp.addVariable({ cost: 0, upper: range.offlineCapacity, name: `${product.id}:${unit.id}` });
+          providers.push({ product, zone: unit.zone, id: unit.id, variable });
+        }
+      });
+      if (product.type !== 'spinning') return;
+      this.state.storage.forEach((asset) => {
+        const headroom = this.storageHeadroom(asset, storageDispatch.assets[asset.id], product.storageSustainHours ?? 1);
+        if (headroom <= 0.001) return;
+        const variable = lp.addVariable({ cost: 0, upper: headroom, name: `${product.id}:${asset.id}` });
+        providers.push({ product, zone: asset.zone, id: asset.id, variable });
+      });
     });
-    windPlants.forEach((plant) => {
-      const cf = capacityFactorFromWind(windSpeed);
-      const output = Math.min(plant.pmax, plant.pmax * cf);
-      total += output;
+
+    const loadByZone = Object.fromEntries(zones.map((zone) => [zone.id, zone.load]));
+    const rows = [];
+    products.forEach((product) => {
+      this.reserveGroups(product, zones).forEach((group) => {
+        const cascaded =
+          product.type === 'nonSpinning'
+            ? rows.filter((row) => row.product.type === 'spinning' && row.group.zones.every((zoneId) => group.zones.includes(zoneId)))
+            : [];
+        const ownRequirement = (group.zones.reduce((sum, zoneId) => sum + loadByZone[zoneId], 0) * product.percent) / 100;
+        const requirement = ownRequirement + cascaded.reduce((sum, row) => sum + row.requirement, 0);
+        const terms = {};
+        providers
+          .filter((provider) => group.zones.includes(provider.zone))
+          .filter((provider) => provider.product === product || cascaded.some((row) => row.product === provider.product))
+          .forEach((provider) => {
+            terms[provider.variable] = 1;
+          });
+        const shortfalls = product.demandCurve.map(([fraction, price], idx) => {
+          const variable = lp.addVariable({ cost: price, upper: fraction * requirement, name: `${product.id}Short${idx}:${group.key}` });
+          terms[variable] = 1;
+          return variable;
+        });
+        rows.push({ product, group, requirement, cascaded, shortfalls, row: lp.addConstraint(terms, '>=', requirement) });
+      });
     });
-    return total;
+    return { products, providers, rows };
   }
 
-  dispatchThermal(zones) {
+  settleReserveMarket(solution, market, zones) {
+    const prices = {};
+    const zoneShortfall = {};
+    zones.forEach((zone) => {
+      prices[zone.id] = {};
+      zoneShortfall[zone.id] = 0;
+    });
+    const products = {};
+    market.products.forEach((product) => {
+      products[product.id] = { name: product.name, type: product.type, scope: product.scope, requirement: 0, awarded: 0, shortfall: 0 };
+    });
+    market.rows.forEach((row) => {
+      const price = Math.min(this.scenario.meta.priceCap, Math.max(0, solution.duals[row.row]));
+      row.price = price;
+      row.shortfall = row.shortfalls.reduce((sum, variable) => sum + solution.values[variable], 0);
+      const shortfall = Math.max(0, row.shortfall - row.cascaded.reduce((sum, cascadedRow) => sum + cascadedRow.shortfall, 0));
+      const summary = products[row.product.id];
+      summary.requirement += row.requirement - row.cascaded.reduce((sum, cascadedRow) => sum + cascadedRow.requirement, 0);
+      summary.shortfall += shortfall;
+      row.group.zones.forEach((zoneId) => {
+        prices[zoneId][row.product.id] = price;
+        if (row.group.zones.length === 1) zoneShortfall[zoneId] += shortfall;
+      });
+    });
+    market.rows
+      .filter((row) => row.cascaded.length)
+      .forEach((row) => {
+        row.cascaded.forEach((cascadedRow) => {
+          cascadedRow.group.zones.forEach((zoneId) => {
+            prices[zoneId][cascadedRow.product.id] = Math.min(this.scenario.meta.priceCap, prices[zoneId][cascadedRow.product.id] + row.price);
+          });
+        });
+      });
+    const awards = market.providers.map((provider) => {
+      const mw = Math.max(0, solution.values[provider.variable]);
+      products[provider.product.id].awarded += mw;
+      return { product: provider.product.id, zone: provider.zone, id: provider.id, mw, price: prices[provider.zone][provider.product.id] };
+    });
+    return { prices, products, awards, zoneShortfall };
+  }
+
+  summarizeReserves(reserves) {
+    const revenue = reserves.awards.reduce((sum, award) => sum + award.mw * award.price * this.tickHours, 0);
+    const products = Object.values(reserves.products);
+    return {
+      products: reserves.products,
+      prices: reserves.prices,
+      awards: reserves.awards,
+      revenue,
+      shortfall: products.reduce((sum, product) => sum + product.shortfall, 0),
+      requirement: products.reduce((sum, product) => sum + product.requirement, 0)
+    };
+  }
+
+  economicDispatch(zones, storageDispatch) {
+    const lp = new LinearProgram();
+    const zoneIndex = {};
+    const balanceTerms = {};
+    const curtailment = [];
+    zones.forEach((zone) => {
+      const storage = storageDispatch.zones[zone.id] || { chargeMW: 0, dischargeMW: 0 };
+      const spill = lp.addVariable({ cost: this.scenario.meta.priceCap, name: `spill:${zone.id}` });
+      const shed = this.state.shedding
+        .filter((entry) => entry.zone === zone.id)
+        .map((entry) => ({ id: entry.id, variable: lp.addVariable({ cost: entry.voll, upper: entry.share * (zone.load + storage.chargeMW), name: `shed:${entry.id}` }) }));
+      zoneIndex[zone.id] = { shed };
+      balanceTerms[zone.id] = { [spill]: -1 };
+      shed.forEach(({ variable }) => {
+        balanceTerms[zone.id][variable] = 1;
+      });
+      zone.plants.forEach(({ plant, available }) => {
+        const curtail = lp.addVariable({ cost: plant.curtailmentCost ?? 0, upper: available, name: `curtail:${plant.id}` });
+        balanceTerms[zone.id][curtail] = -1;
+        curtailment.push({ id: plant.id, curtail });
+      });
+    });
+    const demandResponse = this.state.demandResponse
+      .filter((program) => program.status === 'active' && balanceTerms[program.zone])
+      .map((program) => {
+        const zone = zones.find((z) => z.id === program.zone);
+        const lower = program.trigger === 'manual' ? Math.min(program.capacity, zone.load) : 0;
+        const reduce = lp.addVariable({ cost: program.price, lower, upper: program.capacity, name: `dr:${program.id}` });
+        balanceTerms[program.zone][reduce] = 1;
+        return { id: program.id, reduce };
+      });
+
+    const unitIndex = this.state.thermal.map((unit) => {
+      const range = this.determineUnitTarget(unit);
+      const output = lp.addVariable({ cost: this.variableCost(unit), lower: range.minOutput, upper: range.maxOutput, name: `output:${unit.id}` });
+      const terms = balanceTerms[unit.zone];
+      if (terms) terms[output] = 1;
+      return { unit, output, range };
+    });
+    const reserveMarket = this.addReserveMarket(lp, zones, unitIndex, storageDispatch);
+
+    const islands = this.networkIslands();
+    const angles = {};
+    islands.forEach((island) => {
+      island.zones.forEach((zoneId) => {
+        const isReference = zoneId === island.reference;
+        angles[zoneId] = lp.addVariable({ cost: 0, lower: isReference ? 0 : -Infinity, upper: isReference ? 0 : Infinity, name: `angle:${zoneId}` });
+      });
+    });
+
+    const linkIndex = this.activeLinks().map((link) => {
+      const delivered = 1 - (link.lossFactor || 0);
+      const susceptance = 1 / (link.reactance ?? DEFAULT_REACTANCE);
+      const forward = lp.addVariable({ cost: 0, name: `forward:${link.id}` });
+      const backward = lp.addVariable({ cost: 0, name: `backward:${link.id}` });
+      if (balanceTerms[link.from]) {
+        balanceTerms[link.from][forward] = -1;
+        balanceTerms[link.from][backward] = delivered;
+      }
+      if (balanceTerms[link.to]) {
+        balanceTerms[link.to][forward] = delivered;
+        balanceTerms[link.to][backward] = -1;
+      }
+      const limitRow = lp.addConstraint({ [forward]: 1, [backward]: 1 }, '<=', link.limit);
+      lp.addConstraint({ [forward]: 1, [backward]: -1, [angles[link.from]]: -susceptance, [angles[link.to]]: susceptance }, '=', 0);
+      return { link, forward, backward, limitRow };
+    });
+    const securityRows = this.state.security.constrained ? this.addSecurityConstraints(lp, unitIndex, linkIndex, reserveMarket) : [];
+
+    const balanceRows = {};
+    zones.forEach((zone) => {
+      const storage = storageDispatch.zones[zone.id] || { chargeMW: 0, dischargeMW: 0 };
+      const demand = zone.load - zone.renewable + storage.chargeMW - storage.dischargeMW;
+      balanceRows[zone.id] = lp.addConstraint(balanceTerms[zone.id], '=', demand);
+    });
+
+    const solution = lp.solve();
+    if (solution.status !== 'optimal') {
+      throw new Error(`Economic dispatch failed: ${solution.status}`);
+    }
+
     const allocations = {};
-    const reservePercent = (this.state.overrides.reserve ?? this.scenario.meta.reservePercent) / 100;
-    const unitsByZone = {};
+    const shadowPrices = {};
+    const unserved = {};
+    const shed = {};
     zones.forEach((zone) => {
       allocations[zone.id] = { output: 0, reserve: 0 };
-      unitsByZone[zone.id] = this.state.thermal.filter((u) => u.zone === zone.id);
+      shadowPrices[zone.id] = solution.duals[balanceRows[zone.id]];
+      zoneIndex[zone.id].shed.forEach(({ id, variable }) => {
+        shed[id] = Math.max(0, solution.values[variable]);
+      });
+      unserved[zone.id] = zoneIndex[zone.id].shed.reduce((sum, { id }) => sum + shed[id], 0);
+    });
+    const curtailed = Object.fromEntries(curtailment.map(({ id, curtail }) => [id, solution.values[curtail]]));
+    const demandResponseMW = Object.fromEntries(demandResponse.map(({ id, reduce }) => [id, solution.values[reduce]]));
+    const setpoints = {};
+    const headroom = {};
+    unitIndex.forEach(({ unit, output, range }) => {
+      const target = Math.max(0, solution.values[output]);
+      unit.targetOutput = target;
+      setpoints[unit.id] = target;
+      if (allocations[unit.zone]) allocations[unit.zone].output += target;
+      headroom[unit.zone] = (headroom[unit.zone] || 0) + Math.max(0, range.maxOutput - target);
+    });
+    const reserves = this.settleReserveMarket(solution, reserveMarket, zones);
+    const securityConstraints = securityRows.map(({ row, weights }) => ({ dual: solution.duals[row], weights }));
+    reserves.awards.forEach((award) => {
+      if (allocations[award.zone]) allocations[award.zone].reserve += award.mw;
+    });
+    const flows = {};
+    const losses = {};
+    const congestionRents = {};
+    linkIndex.forEach(({ link, forward, backward, limitRow }) => {
+      const sent = solution.values[forward] + solution.values[backward];
+      flows[link.id] = solution.values[forward] - solution.values[backward];
+      losses[link.id] = sent * (link.lossFactor || 0);
+      congestionRents[link.id] = Math.max(0, -solution.duals[limitRow]);
     });
 
+    return {
+      setpoints,
+      allocations,
+      shadowPrices,
+      flows,
+      losses,
+      congestionRents,
+      securityConstraints,
+      unserved,
+      shed,
+      curtailed,
+      demandResponse: demandResponseMW,
+      headroom,
+      reserves,
+      cost: solution.objective
+    };
+  }
+
+  addSecurityConstraints(lp, unitIndex, linkIndex, reserveMarket) {
+    const penalty = this.scenario.meta.security?.violationCost ?? this.scenario.meta.priceCap;
+    const rating = this.scenario.meta.security?.emergencyRating ?? 1;
+    const spinning = reserveMarket.providers.filter((provider) => provider.product.type === 'spinning');
+    const islands = this.networkIslands();
+    const { factors } = this.shiftFactors();
+    const rows = [];
+
+    unitIndex.forEach(({ unit, output, range }) => {
+      if (range.maxOutput <= 0) return;
+      const island = islands.find((candidate) => candidate.zones.includes(unit.zone));
+      const terms = { [output]: -1, [lp.addVariable({ cost: penalty, name: `n1:${unit.id}` })]: 1 };
+      spinning
+        .filter((provider) => provider.id !== unit.id && island.zones.includes(provider.zone))
+        .forEach((provider) => {
+          terms[provider.variable] = 1;
+        });
+      rows.push({ row: lp.addConstraint(terms, '>=', 0), weights: {} });
+    });
+
+    linkIndex.forEach(({ link: outage, forward: outageForward, backward: outageBackward }) => {
+      const transfer = (factors[outage.id][outage.from] ?? 0) - (factors[outage.id][outage.to] ?? 0);
+      if (1 - transfer < 1e-6) {
+        const sides = this.networkIslands(this.activeLinks().filter((link) => link !== outage));
+        [
+          [outage.from, -1],
+          [outage.to, 1]
+        ].forEach(([zoneId, sign]) => {
+          const side = sides.find((candidate) => candidate.zones.includes(zoneId));
+          const terms = { [outageForward]: -sign, [outageBackward]: sign, [lp.addVariable({ cost: penalty, name: `n1:${outage.id}:${zoneId}` })]: 1 };
+          spinning
+            .filter((provider) => side.zones.includes(provider.zone))
+            .forEach((provider) => {
+              terms[provider.variable] = 1;
+            });
+          rows.push({ row: lp.addConstraint(terms, '>=', 0), weights: { [outage.id]: -sign } });
+        });
+        return;
+      }
+      linkIndex.forEach(({ link, forward, backward }) => {
+        if (link === outage) return;
+        const lodf = ((factors[link.id][outage.from] ?? 0) - (factors[link.id][outage.to] ?? 0)) / (1 - transfer);
+        if (Math.abs(lodf) < 1e-6) return;
+        const terms = { [forward]: 1, [backward]: -1, [outageForward]: lodf, [outageBackward]: -lodf };
+        const weights = { [link.id]: 1, [outage.id]: lodf };
+        const upper = lp.addVariable({ cost: penalty, name: `n1:${outage.id}:${link.id}:up` });
+        const lower = lp.addVariable({ cost: penalty, name: `n1:${outage.id}:${link.id}:down` });
+        rows.push({ row: lp.addConstraint({ ...terms, [upper]: -1 }, '<=', link.limit * rating), weights });
+        rows.push({ row: lp.addConstraint({ ...terms, [lower]: 1 }, '>=', -link.limit * rating), weights });
+      });
+    });
+    return rows;
+  }
+
+  contingencyAnalysis(zones, dispatch, storageDispatch) {
+    const rating = this.scenario.meta.security?.emergencyRating ?? 1;
+    const injections = {};
     zones.forEach((zone) => {
-      const units = unitsByZone[zone.id].slice().sort((a, b) => this.variableCost(a) - this.variableCost(b));
-      const required = zone.netLoad;
-      let loadRemaining = required;
-      const reserveRequirement = zone.load * reservePercent;
-      units.forEach((unit) => {
-        const target = this.determineUnitTarget(unit, loadRemaining, reserveRequirement, allocations[zone.id]);
-        loadRemaining = Math.max(0, loadRemaining - target.loadServed);
+      injections[zone.id] = 0;
+    });
+    this.state.links.forEach((link) => {
+      const flow = dispatch.flows[link.id] || 0;
+      injections[link.from] += flow;
+      injections[link.to] -= flow;
+    });
+    const sources = [];
+    this.state.thermal.forEach((unit) => {
+      const output = dispatch.setpoints[unit.id] || 0;
+      if (!unit.commandOn || output <= 0.001) return;
+      sources.push({ id: unit.id, zone: unit.zone, output, headroom: Math.max(0, Math.min(unit.pmax, output + unit.ramp) - output) });
+    });
+    this.state.storage.forEach((asset) => {
+      sources.push({ id: asset.id, zone: asset.zone, output: 0, headroom: this.storageHeadroom(asset, storageDispatch.assets[asset.id]) });
+    });
+    const contingencies = [
+      ...this.state.thermal.filter((unit) => sources.some((source) => source.id === unit.id)).map((unit) => ({ type: 'unit', id: unit.id, name: unit.name })),
+      ...this.activeLinks().map((link) => ({ type: 'link', id: link.id, name: link.name || link.id }))
+    ];
+    const violations = contingencies.flatMap((contingency) =>
+      this.evaluateContingency(contingency, injections, sources, rating).map((violation) => ({ contingency, ...violation }))
+    );
+    return { secure: violations.length === 0, violations };
+  }
+
+  evaluateContingency(contingency, baseInjections, sources, rating) {
+    const injections = { ...baseInjections };
+    let links = this.activeLinks();
+    let available = sources;
+    if (contingency.type === 'unit') {
+      const lost = sources.find((source) => source.id === contingency.id);
+      injections[lost.zone] -= lost.output;
+      available = sources.filter((source) => source !== lost);
+    } else {
+      links = links.filter((link) => link.id !== contingency.id);
+    }
+    const violations = [];
+    this.networkIslands(links).forEach((island) => {
+      const imbalance = island.zones.reduce((sum, zoneId) => sum + injections[zoneId], 0);
+      if (Math.abs(imbalance) < 0.01) return;
+      const members = available.filter((source) => island.zones.includes(source.zone));
+      const weightKey = imbalance < 0 ? 'headroom' : 'output';
+      const capacity = members.reduce((sum, source) => sum + source[weightKey], 0);
+      const adjusted = Math.min(Math.abs(imbalance), capacity);
+      members.forEach((source) => {
+        if (capacity > 0) injections[source.zone] -= (Math.sign(imbalance) * adjusted * source[weightKey]) / capacity;
       });
-      zone.netLoad = loadRemaining;
+      injections[island.reference] -= Math.sign(imbalance) * (Math.abs(imbalance) - adjusted);
+      if (imbalance < 0 && Math.abs(imbalance) - adjusted > 0.5) {
+        violations.push({ issue: 'deficit', deficit: Math.abs(imbalance) - adjusted });
+      }
+    });
+    const { factors } = this.shiftFactors(links);
+    links.forEach((link) => {
+      const flow = Object.entries(factors[link.id]).reduce((sum, [zoneId, factor]) => sum + factor * injections[zoneId], 0);
+      const loading = Math.abs(flow) / Math.max(1e-6, link.limit * rating);
+      if (loading > 1 + 1e-3) violations.push({ issue: 'overload', link: link.id, flow, loading });
     });
+    return violations;
+  }
 
-    return allocations;
+  recordSecurity(analysis, time) {
+    const security = this.state.security;
+    const describe = (violation) =>
+      violation.issue === 'overload'
+        ? `loss of ${violation.contingency.name} overloads ${violation.link} (${(violation.loading * 100).toFixed(0)}%)`
+        : `loss of ${violation.contingency.name} leaves ${violation.deficit.toFixed(0)} MW uncovered`;
+    const keys = analysis.violations.map((violation) => `${violation.contingency.type}:${violation.contingency.id}:${violation.issue}:${violation.link ?? ''}`);
+    const fresh = analysis.violations.filter((_, idx) => !security.activeKeys.includes(keys[idx]));
+    if (fresh.length) {
+      this.logEvent(`N-1 insecure: ${fresh.map(describe).join('; ')}.`, time);
+    } else if (analysis.secure && security.activeKeys.length) {
+      this.logEvent('System returned to an N-1 secure state.', time);
+    }
+    security.activeKeys = keys;
+    security.violations = analysis.violations;
+    if (analysis.secure) {
+      security.secureTicks += 1;
+      return;
+    }
+    security.insecureTicks += 1;
+    const seen = new Set();
+    analysis.violations.forEach((violation) => {
+      const { type, id, name } = violation.contingency;
+      const key = `${type}:${id}`;
+      const entry = security.report[key] || { type, id, name, ticks: 0, worstLoading: 0, maxDeficit: 0 };
+      if (!seen.has(key)) entry.ticks += 1;
+      seen.add(key);
+      if (violation.issue === 'overload') entry.worstLoading = Math.max(entry.worstLoading, violation.loading);
+      if (violation.issue === 'deficit') entry.maxDeficit = Math.max(entry.maxDeficit, violation.deficit);
+      security.report[key] = entry;
+    });
+  }
+
+  securityReport() {
+    const { secureTicks, insecureTicks, report, constrained } = this.state.security;
+    const total = secureTicks + insecureTicks;
+    return {
+      constrained,
+      secureShare: total ? secureTicks / total : 1,
+      insecureHours: insecureTicks * this.tickHours,
+      contingencies: Object.values(report).sort((a, b) => b.ticks - a.ticks)
+    };
+  }
+
+  setSecurityConstrained(enabled) {
+    this.recordAction('setSecurityConstrained', [Boolean(enabled)], { constrained: this.state.security.constrained });
+    this.state.security.constrained = Boolean(enabled);
   }
 
-  determineUnitTarget(unit, loadRemaining, reserveRequirement, zoneAllocation) {
-    const cost = this.variableCost(unit);
-    let loadServed = 0;
-    let reserveAdded = 0;
+  determineUnitTarget(unit) {
+    const status = this.toggleStatus(unit);
+    unit.toggleAllowed = status.allowed;
+    unit.toggleReason = status.reason;
     if (unit.outageTicks > 0) {
       unit.targetOutput = 0;
-      unit.toggleAllowed = false;
-      unit.toggleReason = 'Outage';
-      return { loadServed, reserveAdded };
+      return { minOutput: 0, maxOutput: 0, reserveMax: 0, offlineCapacity: 0 };
     }
-    unit.toggleAllowed = true;
-    unit.toggleReason = '';
     if (!unit.commandOn && unit.output <= 0.001) {
-      unit.targetOutput = 0;
       unit.committed = false;
-      return { loadServed, reserveAdded };
+      return { minOutput: 0, maxOutput: 0, reserveMax: 0, offlineCapacity: status.allowed ? unit.pmax : 0 };
+    }
+    if (unit.commandOn && unit.startingTicks > 0) {
+      return { minOutput: 0, maxOutput: 0, reserveMax: 0 };
     }
     const rampUpLimit = unit.output + unit.ramp;
     const rampDownLimit = Math.max(0, unit.output - unit.ramp);
-    const maxOutput = Math.min(unit.pmax, rampUpLimit);
-    let minOutput = 0;
-    if (unit.commandOn) {
-      minOutput = Math.min(unit.pmin, maxOutput);
-    }
     if (!unit.commandOn) {
-      unit.targetOutput = rampDownLimit;
-      const contribution = unit.targetOutput;
-      loadServed = contribution;
-      zoneAllocation.output += contribution;
-      return { loadServed, reserveAdded };
+      return { minOutput: rampDownLimit, maxOutput: rampDownLimit, reserveMax: 0 };
     }
-
-    let desired = Math.min(maxOutput, loadRemaining);
-    if (desired < minOutput && loadRemaining > 0) desired = Math.min(maxOutput, Math.max(minOutput, loadRemaining));
-    unit.targetOutput = desired;
-    loadServed = desired;
-    reserveAdded = Math.max(0, Math.min(unit.reserveCap, maxOutput - desired));
-    zoneAllocation.output += desired;
-    zoneAllocation.reserve += reserveAdded;
-    return { loadServed, reserveAdded, cost };
+    const maxOutput = Math.min(unit.pmax, rampUpLimit);
+    const minOutput = Math.min(maxOutput, Math.max(Math.min(unit.pmin, maxOutput), rampDownLimit));
+    return { minOutput, maxOutput, reserveMax: Math.max(0, Math.min(unit.reserveCap, maxOutput - minOutput)) };
   }
 
-  balanceTransmission(zones, allocations, batteryDispatch) {
+  balanceTransmission(zones, dispatch) {
     const links = this.state.links;
     let congested = false;
-    zones.forEach((zone) => {
-      zone.netSupply = (allocations[zone.id]?.output || 0) + zone.renewable;
-      if (zone.id === this.state.battery.zone) {
-        zone.netSupply += batteryDispatch.dischargeMW - batteryDispatch.chargeMW;
-      }
-      zone.balance = zone.netSupply - zone.load;
-    });
 
     zones.forEach((zone) => {
       zone.congested = false;
-      zone.congestionAdder = 0;
     });
 
     links.forEach((link) => {
-      const fromZone = zones.find((z) => z.id === link.from);
-      const toZone = zones.find((z) => z.id === link.to);
-      let flow = 0;
-      if (fromZone.balance > 0 && toZone.balance < 0) {
-        flow = Math.min(fromZone.balance, -toZone.balance, link.limit);
-        fromZone.balance -= flow;
-        toZone.balance += flow;
-      } else if (toZone.balance > 0 && fromZone.balance < 0) {
-        flow = -Math.min(toZone.balance, -fromZone.balance, link.limit);
-        fromZone.balance += -flow;
-        toZone.balance -= -flow;
-      }
+      const flow = dispatch.flows[link.id] || 0;
       link.flow = flow;
-      link.congested = Math.abs(flow) >= link.limit - 0.01;
+      link.losses = dispatch.losses[link.id] || 0;
+      link.congested = link.status === 'in-service' && Math.abs(flow) >= link.limit - 0.01;
       if (link.congested) {
         congested = true;
-        const congestionAdder = 15;
         zones.forEach((zone) => {
           if (zone.id === link.from || zone.id === link.to) {
             zone.congested = true;
-            zone.congestionAdder = Math.max(zone.congestionAdder, congestionAdder);
           }
         });
       }
     });
 
     zones.forEach((zone) => {
-      zone.netLoad = Math.max(0, -zone.balance);
+      zone.netLoad = dispatch.unserved[zone.id] || 0;
     });
 
     return { congested };
   }
 
-  computePrice(zone, loadShed) {
-    if (loadShed) {
-      return this.scenario.meta.priceCap;
-    }
-    const zoneUnits = this.state.thermal.filter((u) => u.zone === zone.id);
-    let marginalCost = 30;
-    zoneUnits.forEach((unit) => {
-      if (unit.targetOutput > 0) {
-        marginalCost = Math.max(marginalCost, this.variableCost(unit));
+  referenceZone() {
+    return this.scenario.meta.referenceZone ?? this.scenario.zones[0].id;
+  }
+
+  networkIslands(links = this.activeLinks()) {
+    const adjacency = {};
+    this.state.zones.forEach((zone) => {
+      adjacency[zone.id] = [];
+    });
+    links.forEach((link) => {
+      adjacency[link.from].push(link.to);
+      adjacency[link.to].push(link.from);
+    });
+    const preferred = this.referenceZone();
+    const visited = new Set();
+    const islands = [];
+    this.state.zones.forEach((zone) => {
+      if (visited.has(zone.id)) return;
+      const members = [];
+      const queue = [zone.id];
+      visited.add(zone.id);
+      while (queue.length) {
+        const zoneId = queue.shift();
+        members.push(zoneId);
+        adjacency[zoneId].forEach((neighbour) => {
+          if (visited.has(neighbour)) return;
+          visited.add(neighbour);
+          queue.push(neighbour);
+        });
       }
+      islands.push({ reference: members.includes(preferred) ? preferred : members[0], zones: members });
     });
-    if (zone.congestionAdder) marginalCost += zone.congestionAdder;
-    return marginalCost;
+    return islands;
+  }
+
+  // DC power transfer distribution factors: flow on each link per MW injected in a zone and withdrawn at its island reference.
+  shiftFactors(links = this.activeLinks()) {
+    const factors = {};
+    const referenceOf = {};
+    links.forEach((link) => {
+      factors[link.id] = {};
+    });
+    this.networkIslands(links).forEach((island) => {
+      island.zones.forEach((zoneId) => {
+        referenceOf[zoneId] = island.reference;
+      });
+      const buses = island.zones.filter((zoneId) => zoneId !== island.reference);
+      if (!buses.length) return;
+      const position = {};
+      buses.forEach((zoneId, i) => {
+        position[zoneId] = i;
+      });
+      const islandLinks = links.filter((link) => island.zones.includes(link.from));
+      const susceptance = buses.map(() => new Array(buses.length).fill(0));
+      islandLinks.forEach((link) => {
+        const b = 1 / (link.reactance ?? DEFAULT_REACTANCE);
+        const i = position[link.from];
+        const j = position[link.to];
+        if (i !== undefined) susceptance[i][i] += b;
+        if (j !== undefined) susceptance[j][j] += b;
+        if (i !== undefined && j !== undefined) {
+          susceptance[i][j] -= b;
+          susceptance[j][i] -= b;
+        }
+      });
+      const reactance = invertMatrix(susceptance);
+      islandLinks.forEach((link) => {
+        const b = 1 / (link.reactance ?? DEFAULT_REACTANCE);
+        const i = position[link.from];
+        const j = position[link.to];
+        buses.forEach((zoneId) => {
+          const k = position[zoneId];
+          const angleFrom = i === undefined ? 0 : reactance[i][k];
+          const angleTo = j === undefined ? 0 : reactance[j][k];
+          factors[link.id][zoneId] = b * (angleFrom - angleTo);
+        });
+      });
+    });
+    return { factors, referenceOf };
+  }
+
+  // LMP = energy (island reference price) + congestion (binding link rents through shift factors) + loss (remainder).
+  computeLocationalPrices(zones, dispatch) {
+    const cap = this.scenario.meta.priceCap;
+    const { factors, referenceOf } = this.shiftFactors();
+    const prices = {};
+    zones.forEach((zone) => {
+      const reference = dispatch.shadowPrices[referenceOf[zone.id]] ?? 0;
+      const raw = dispatch.shadowPrices[zone.id];
+      let congestion = 0;
+      this.activeLinks().forEach((link) => {
+        const rent = dispatch.congestionRents[link.id] || 0;
+        if (rent <= 0) return;
+        const direction = (dispatch.flows[link.id] || 0) >= 0 ? 1 : -1;
+        congestion -= rent * direction * (factors[link.id][zone.id] || 0);
+      });
+      dispatch.securityConstraints.forEach(({ dual, weights }) => {
+        Object.entries(weights).forEach(([linkId, weight]) => {
+          congestion += dual * weight * (factors[linkId][zone.id] || 0);
+        });
+      });
+      // Shed costs can push the duals past the cap: cap the price and energy, then share what is left
+      // between congestion and losses in the proportion the raw duals give them.
+      const lmp = Math.max(-cap, Math.min(cap, raw));
+      const energy = Math.max(-cap, Math.min(cap, reference));
+      const loss = raw - reference - congestion;
+      const spread = congestion + loss;
+      const scale = Math.abs(spread) > 1e-9 ? (lmp - energy) / spread : 0;
+      prices[zone.id] = { lmp, energy, congestion: congestion * scale, loss: loss * scale };
+    });
+    return prices;
   }
 
   variableCost(unit) {
@@ -595,24 +2285,44 @@ export class SimulationEngine {
   computeCosts(zones, allocations) {
     let fuelExpense = 0;
     let vomExpense = 0;
+    let startupExpense = 0;
+    let noLoadExpense = 0;
+    let starts = 0;
     let emissions = 0;
     let revenue = 0;
     const emissionFactor = (unit) => unit.emissions || 0;
     this.state.thermal.forEach((unit) => {
       const target = unit.targetOutput || 0;
+      const wasOnline = unit.output > 0.001;
       const actual = this.updateUnitOutput(unit, target);
       const cost = this.variableCost(unit);
       fuelExpense += actual * (cost - unit.vom) * this.tickHours;
       vomExpense += unit.vom * actual * this.tickHours;
       emissions += emissionFactor(unit) * actual * this.tickHours;
+      if (actual > 0.001) {
+        if (!wasOnline) {
+          const startState = unit.startState || this.startupState(unit);
+          startupExpense += unit.startupCost?.[startState] || 0;
+          starts += 1;
+          this.logEvent(`${unit.name} synchronized (${startState} start).`, this.state.currentTime);
+        }
+        noLoadExpense += (unit.noLoadCost || 0) * this.tickHours;
+        unit.onlineTicks = wasOnline ? unit.onlineTicks + 1 : 1;
+        unit.offlineTicks = 0;
+        unit.startState = null;
+      } else {
+        unit.offlineTicks = wasOnline ? 1 : unit.offlineTicks + 1;
+        unit.onlineTicks = 0;
+        if (unit.commandOn && unit.startingTicks > 0) unit.startingTicks -= 1;
+      }
     });
 
     zones.forEach((zone) => {
-      const served = Math.max(0, zone.load - zone.netLoad);
+      const served = Math.max(0, zone.load - zone.netLoad - zone.demandResponse);
       revenue += served * zone.price * this.tickHours;
     });
 
-    return { fuelExpense, vomExpense, emissions, revenue };
+    return { fuelExpense, vomExpense, startupExpense, noLoadExpense, starts, emissions, revenue };
   }
 
   updateUnitOutput(unit, target) {
@@ -633,45 +2343,84 @@ export class SimulationEngine {
     return newOutput;
   }
 
-  recordTickLog(time, zones, transmission, batteryDispatch) {
+  recordTickLog(time, zones, transmission, storageDispatch) {
     const entry = {
       timestamp: time.toISOString(),
       temperature: this.state.weather.tempSeries[this.state.tickIndex],
       zones: {},
-      battery: {
-        soc: this.state.battery.socMWh / this.state.battery.energyCapacity,
-        mode: this.state.battery.mode,
-        chargeMW: batteryDispatch.chargeMW,
-        dischargeMW: batteryDispatch.dischargeMW
-      },
+      storage: {},
       congestion: transmission.congested,
+      security: { secure: this.state.security.violations.length === 0, violations: this.state.security.violations.length },
+      links: {},
       kpis: {
         unmet: this.state.kpis.unmet,
         cash: this.state.kpis.cash
       }
     };
+    this.state.storage.forEach((asset) => {
+      entry.storage[asset.id] = {
+        soc: asset.socMWh / asset.energyCapacity,
+        mode: asset.mode,
+        chargeMW: storageDispatch.assets[asset.id].chargeMW,
+        dischargeMW: storageDispatch.assets[asset.id].dischargeMW,
+        throughput: asset.throughputMWh,
+        degradationCost: asset.degradationCost
+      };
+    });
     zones.forEach((zone) => {
       entry.zones[zone.id] = {
         load: zone.load,
         price: zone.price,
         renewable: zone.renewable,
+        curtailed: zone.curtailed,
+        demandResponse: zone.demandResponse,
         netLoad: zone.netLoad,
+        energy: zone.lmp.energy,
+        congestion: zone.lmp.congestion,
+        loss: zone.lmp.loss,
+        reservePrices: { ...zone.reservePrices },
+        reserveShort: zone.reserveShort,
         congested: zone.congested || false
       };
     });
+    this.state.links.forEach((link) => {
+      entry.links[link.id] = { flow: link.flow, losses: link.losses, limit: link.limit, status: link.status, congested: link.congested };
+    });
     this.state.tickLog.push(entry);
   }
 
+  accumulateDayAhead(time, systemPrice) {
+    const dayAhead = this.state.dayAhead;
+    if (!dayAhead.openDay) {
+      dayAhead.openDay = { date: formatDate(time), priceSum: 0, ticks: 0 };
+    }
+    dayAhead.openDay.priceSum += systemPrice;
+    dayAhead.openDay.ticks += 1;
+  }
+
+  settleDayAhead() {
+    const dayAhead = this.state.dayAhead;
+    const day = dayAhead.openDay;
+    if (!day || !day.ticks) return;
+    const avgPrice = day.priceSum / day.ticks;
+    const hours = day.ticks * this.tickHours;
+    const amount = (dayAhead.price - avgPrice) * dayAhead.quantity * hours;
+    this.state.kpis.cash += amount;
+    dayAhead.settlements.push({ date: day.date, avgPrice, hours, quantity: dayAhead.quantity, price: dayAhead.price, amount });
+    dayAhead.openDay = null;
+    this.logEvent(`Day ahead contract settled for ${day.date}: ${amount.toFixed(0)}$`, this.state.currentTime);
+  }
+
   finalizeRun() {
     this.state.done = true;
     const avgPrice = this.state.kpis.priceCount ? this.state.kpis.priceSum / this.state.kpis.priceCount : 0;
     this.state.kpis.avgPrice = avgPrice;
-    if (!this.state.dayAhead.settled) {
-      const settlement = (this.state.dayAhead.price - avgPrice) * this.state.dayAhead.quantity * this.scenario.clock.durationHours;
-      this.state.kpis.cash += settlement;
-      this.state.dayAhead.settled = true;
-      this.logEvent(`Day ahead contract settled: ${settlement.toFixed(0)}$`, this.state.currentTime);
-    }
+    this.settleDayAhead();
+    this.state.storage.forEach((asset) => {
+      const cost = this.closeStorageCycle(asset, asset.socMWh);
+      this.state.kpis.degradationCost += cost;
+      this.state.kpis.cash -= cost;
+    });
   }
 
   currentSnapshot() {
@@ -681,35 +2430,139 @@ export class SimulationEngine {
   buildSnapshot(initial = false, tickResult = null) {
     const snapshot = {
       timeLabel: formatTime(this.state.currentTime),
+      dateLabel: `${WEEKDAY_NAMES[this.state.currentTime.getUTCDay()]} ${formatDate(this.state.currentTime)}`,
+      dayType: this.dayType(this.state.currentTime),
+      multiDay: this.scenario.clock.durationHours > 24,
       zones: this.state.zones.map((zone) => ({
         id: zone.id,
         name: zone.name,
         load: zone.load || 0,
         price: zone.price || 0,
+        lmp: zone.lmp || { energy: 0, congestion: 0, loss: 0 },
+        reservePrices: zone.reservePrices || {},
         congested: zone.congested || false
       })),
-      links: this.state.links.map((link) => ({ id: link.id, from: link.from, to: link.to, flow: link.flow || 0, limit: link.limit, congested: link.congested || false })),
+      links: this.state.links.map((link) => ({
+        id: link.id,
+        from: link.from,
+        to: link.to,
+        flow: link.flow || 0,
+        losses: link.losses || 0,
+        limit: link.limit,
+        baseLimit: link.baseLimit,
+        rating: link.rating,
+        status: link.status,
+        congested: link.congested || false
+      })),
       kpis: {
         unmet: this.state.kpis.unmet,
         avgPrice: this.state.kpis.priceCount ? this.state.kpis.priceSum / this.state.kpis.priceCount : 0,
         emissions: this.state.kpis.emissions,
-        cash: this.state.kpis.cash
+        cash: this.state.kpis.cash,
+        storageThroughput: this.state.kpis.storageThroughput,
+        degradationCost: this.state.kpis.degradationCost,
+        reserveRevenue: this.state.kpis.reserveRevenue,
+        curtailedEconomic: this.state.kpis.curtailedEconomic,
+        curtailedCongestion: this.state.kpis.curtailedCongestion,
+        demandResponseCost: this.state.kpis.demandResponseCost,
+        demandResponseMWh: this.state.kpis.demandResponseMWh,
+        sheddingCost: this.state.kpis.sheddingCost
       },
+      shedding: this.state.shedding.map((entry) => ({
+        id: entry.id,
+        zone: entry.zone,
+        customerClass: entry.customerClass,
+        voll: entry.voll,
+        shedMW: entry.shedMW,
+        blocksOut: entry.blocks.filter((block) => block.dark).length,
+        blockCount: entry.blocks.length
+      })),
+      renewables: clone(this.state.renewables),
+      demandResponse: this.state.demandResponse.map((program) => ({
+        id: program.id,
+        name: program.name,
+        zone: program.zone,
+        capacity: program.capacity,
+        price: program.price,
+        dispatch: program.dispatch,
+        status: program.status,
+        statusLabel: DEMAND_RESPONSE_STATUS[program.status],
+        noticeHours: program.status === 'notified' ? program.noticeTicks * this.tickHours : program.noticeHours ?? 0,
+        activeHours: program.status === 'active' ? program.activeTicks * this.tickHours : 0,
+        maxDurationHours: program.maxDurationHours,
+        deployedMW: program.deployedMW,
+        callAllowed: program.status === 'ready',
+        releaseAllowed: program.status === 'notified' || program.status === 'active',
+        calls: program.calls,
+        energyMWh: program.energyMWh,
+        reboundMWh: program.reboundMWh,
+        cost: program.cost
+      })),
+      reserves: this.state.reserves
+        ? Object.entries(this.state.reserves.products).map(([id, product]) => ({
+            id,
+            ...product,
+            prices: Object.fromEntries(Object.entries(this.state.reserves.prices).map(([zoneId, zonePrices]) => [zoneId, zonePrices[id] ?? 0]))
+          }))
+        : [],
       lastEvent: this.state.lastEvent,
+      recentEvents: this.state.events.slice(-20),
       dispatchStack: this.buildDispatchStack(),
-      priceHistory: this.state.priceHistory.slice(-this.totalTicks),
-      battery: {
-        soc: this.state.battery.socMWh / this.state.battery.energyCapacity,
-        mode: this.state.battery.modeSetting === 'auto' ? this.state.battery.mode : this.state.battery.modeSetting
-      },
-      units: this.state.thermal.map((unit) => ({
-        id: unit.id,
-        name: unit.name,
-        committed: unit.commandOn || unit.committed,
-        toggleAllowed: unit.outageTicks === 0,
-        toggleReason: unit.outageTicks > 0 ? 'Outage' : '',
-        output: unit.output
+      priceHistory: this.state.priceHistory.slice(-Math.round(1440 / this.tickMinutes)),
+      storage: this.state.storage.map((asset) => ({
+        id: asset.id,
+        name: asset.name,
+        type: asset.type,
+        zone: asset.zone,
+        soc: asset.socMWh / asset.energyCapacity,
+        mode: ['auto', 'optimize'].includes(asset.modeSetting) ? asset.mode : asset.modeSetting,
+        setting: asset.modeSetting,
+        targetSoc: asset.targetSocMWh / asset.energyCapacity,
+        throughput: asset.throughputMWh,
+        degradationCost: asset.degradationCost,
+        lifeUsed: asset.lifeUsed,
+        schedule: asset.schedule.map((entry, hour) => ({
+          hour,
+          plannedMW: entry.plannedMW,
+          plannedSoc: entry.plannedSocMWh === null ? null : entry.plannedSocMWh / asset.energyCapacity,
+          actualMW: entry.socMWh === null ? null : entry.actualMWh / (this.ticksPerHour * this.tickHours),
+          actualSoc: entry.socMWh === null ? null : entry.socMWh / asset.energyCapacity
+        }))
       })),
+      units: this.state.thermal.map((unit) => {
+        const toggle = this.toggleStatus(unit);
+        return {
+          id: unit.id,
+          name: unit.name,
+          committed: unit.commandOn || unit.committed,
+          status: this.unitStatus(unit),
+          startingHours: unit.startingTicks * this.tickHours,
+          toggleAllowed: toggle.allowed,
+          toggleReason: toggle.reason,
+          output: unit.output,
+          zone: unit.zone,
+          commandOn: unit.commandOn,
+          pmin: unit.pmin,
+          pmax: unit.pmax,
+          marginalCost: this.variableCost(unit),
+          startupLeadHours: unit.startupLeadHours || 0
+        };
+      }),
+      security: {
+        constrained: this.state.security.constrained,
+        secure: this.state.security.violations.length === 0,
+        violations: this.state.security.violations.map((violation) => ({
+          contingency: violation.contingency.name,
+          issue: violation.issue,
+          link: violation.link ?? null,
+          loading: violation.loading ?? null,
+          deficit: violation.deficit ?? null
+        }))
+      },
+      forecast: { dayAhead: this.dayAheadForecast(), intraday: this.intradayForecast(), actual: this.actualHourly() },
+      commitment: this.state.commitment
+        ? { active: this.state.commitment.active, currentHour: Math.floor(this.state.tickIndex / this.ticksPerHour), cost: this.state.commitment.plan.cost }
+        : null,
       done: this.state.done
     };
 
@@ -723,6 +2576,7 @@ export class SimulationEngine {
           Object.assign(zoneSnap, {
             load: latest.zones[zoneId].load,
             price: latest.zones[zoneId].price,
+            lmp: { energy: latest.zones[zoneId].energy, congestion: latest.zones[zoneId].congestion, loss: latest.zones[zoneId].loss },
             congested: latest.zones[zoneId].congested || false
           });
         }
@@ -732,8 +2586,15 @@ export class SimulationEngine {
     return snapshot;
   }
 
+  unitStatus(unit) {
+    if (unit.outageTicks > 0) return 'outage';
+    if (unit.commandOn && unit.startingTicks > 0) return 'starting';
+    if (unit.commandOn) return unit.output > 0.001 ? 'on' : 'syncing';
+    return unit.output > 0.001 ? 'stopping' : 'off';
+  }
+
   buildDispatchStack() {
-    const ticksPerHour = Math.round(60 / this.tickMinutes);
+    const ticksPerHour = this.ticksPerHour;
     const currentHour = Math.floor(this.state.tickIndex / ticksPerHour);
     const startTick = Math.max(0, currentHour * ticksPerHour - ticksPerHour);
     const slice = this.state.tickLog.slice(startTick, startTick + ticksPerHour);
@@ -742,7 +2603,7 @@ export class SimulationEngine {
         const renew = Object.values(entry.zones).reduce((sum, z) => sum + z.renewable, 0);
         const load = Object.values(entry.zones).reduce((sum, z) => sum + (z.load - z.netLoad), 0);
         const thermal = Math.max(0, load - renew);
-        const battery = entry.battery.dischargeMW * this.tickHours;
+        const battery = Object.values(entry.storage).reduce((sum, asset) => sum + asset.dischargeMW, 0) * this.tickHours;
         acc.push({ renewables: renew, thermal, battery });
         return acc;
       },
@@ -758,17 +2619,67 @@ export class SimulationEngine {
     const reliability = Math.max(0, 1 - this.state.kpis.unmet / Math.max(1, this.state.kpis.totalLoad));
     const costScore = Math.max(0, Math.min(1, 1 - this.state.kpis.cash / 100000));
     const emissionsScore = Math.max(0, Math.min(1, 1 - this.state.kpis.emissions / 1000));
+    const reserveAdequacy = Math.max(0, 1 - this.state.kpis.reserveShortfall / Math.max(1, this.state.kpis.reserveRequirement));
     const total = reliability * weights.reliability + costScore * weights.cost + emissionsScore * weights.emissions;
     const badges = [];
     if (this.state.kpis.unmet < 0.01) badges.push('Zero Shed Day');
+    if (this.state.kpis.unmet >= 0.01 && this.state.shedding.every((entry) => entry.customerClass !== 'critical' || entry.shedMWh < 0.01)) badges.push('Critical Loads Protected');
     if (this.state.kpis.congestedTicks < 10) badges.push('Congestion Manager');
-    if (this.state.kpis.batteryThroughput > this.state.battery.energyCapacity) badges.push('Battery Hero');
+    if (reserveAdequacy >= 0.99) badges.push('Reserve Ready');
+    const security = this.securityReport();
+    if (this.state.security.secureTicks > 0 && security.secureShare === 1) badges.push('N-1 Secure');
+    const storageCapacity = this.state.storage.reduce((sum, asset) => sum + asset.energyCapacity, 0);
+    if (storageCapacity > 0 && this.state.kpis.storageThroughput > storageCapacity) badges.push('Battery Hero');
     if (badges.length < 3) badges.push('Market Explorer');
-    return { reliability, costScore, emissionsScore, total, badges };
+    const curtailment = { economic: this.state.kpis.curtailedEconomic, congestion: this.state.kpis.curtailedCongestion, plants: clone(this.state.renewables) };
+    const demandResponse = {
+      cost: this.state.kpis.demandResponseCost,
+      energyMWh: this.state.kpis.demandResponseMWh,
+      reboundMWh: this.state.kpis.demandResponseReboundMWh,
+      avoidedUnmet: this.state.kpis.demandResponseAvoidedUnmet,
+      reliabilityWithout: Math.max(0, 1 - (this.state.kpis.unmet + this.state.kpis.demandResponseAvoidedUnmet) / Math.max(1, this.state.kpis.totalLoad)),
+      programs: this.state.demandResponse.map(({ id, name, zone, dispatch, calls, energyMWh, reboundMWh, cost }) => ({ id, name, zone, dispatch, calls, energyMWh, reboundMWh, cost }))
+    };
+    const shedding = {
+      cost: this.state.kpis.sheddingCost,
+      classes: this.state.shedding.map((entry) => ({
+        id: entry.id,
+        zone: entry.zone,
+        customerClass: entry.customerClass,
+        voll: entry.voll,
+        shedMWh: entry.shedMWh,
+        cost: entry.cost,
+        events: entry.events,
+        hours: entry.shedTicks * this.tickHours,
+        longestOutageHours: entry.longestOutageTicks * this.tickHours,
+        blockOutages: entry.blocks.reduce((sum, block) => sum + block.outages, 0),
+        blockCount: entry.blocks.length
+      }))
+    };
+    return { reliability, costScore, emissionsScore, reserveAdequacy, security, forecast: this.forecastReport(), curtailment, demandResponse, shedding, total, badges };
   }
 
   exportCsv() {
-    const header = ['timestamp', 'temperature', 'zone', 'load', 'price', 'renewable', 'netLoad', 'batterySOC', 'batteryMode', 'cash'];
+    const storageColumns = this.state.storage.flatMap((asset) => ['SOC', 'Mode', 'ThroughputMWh', 'DegradationCost'].map((field) => `${asset.id}${field}`));
+    const reserveIds = this.reserveProducts().map((product) => product.id);
+    const header = [
+      'timestamp',
+      'temperature',
+      'zone',
+      'load',
+      'price',
+      'energyComponent',
+      'congestionComponent',
+      'lossComponent',
+      ...reserveIds.map((id) => `${id}Price`),
+      'reserveShort',
+      'renewable',
+      'curtailed',
+      'demandResponse',
+      'netLoad',
+      ...storageColumns,
+      'cash'
+    ];
     const rows = [header.join(',')];
     this.state.tickLog.forEach((entry) => {
       Object.entries(entry.zones).forEach(([zoneId, zone]) => {
@@ -779,10 +2690,19 @@ export class SimulationEngine {
             zoneId,
             zone.load.toFixed(2),
             zone.price.toFixed(2),
+            zone.energy.toFixed(2),
+            zone.congestion.toFixed(2),
+            zone.loss.toFixed(2),
+            ...reserveIds.map((id) => (zone.reservePrices[id] ?? 0).toFixed(2)),
+            zone.reserveShort.toFixed(2),
             zone.renewable.toFixed(2),
+            zone.curtailed.toFixed(2),
+            zone.demandResponse.toFixed(2),
             zone.netLoad.toFixed(2),
-            entry.battery.soc.toFixed(3),
-            entry.battery.mode,
+            ...this.state.storage.flatMap((asset) => {
+              const storage = entry.storage[asset.id];
+              return [storage.soc.toFixed(3), storage.mode, storage.throughput.toFixed(2), storage.degradationCost.toFixed(2)];
+            }),
             entry.kpis.cash.toFixed(2)
           ].join(',')
         );
@@ -0,0 +1,48 @@
+import { migrateScenario } from './migrate.js';
+import { validateScenario } from './validate.js';
+import { resolveTimeSeries } from './timeseries.js';
+
+const LIBRARY_URL = 'scenarios/index.json';
+const DEFAULT_ENTRY = { id: 'baseline', file: 'scenario.json', title: 'Baseline' };
+
+export async function loadLibrary() {
+  const resp = await fetch(LIBRARY_URL);
+  if (!resp.ok) return [DEFAULT_ENTRY];
+  const { scenarios } = await resp.json();
+  return scenarios.length ? scenarios : [DEFAULT_ENTRY];
+}
+
+export function resolveScenarioSource(library, requested) {
+  if (!requested) return library[0];
+  const entry = library.find((item) => item.id === requested);
+  if (entry) return entry;
+  const url = new URL(requested, window.location.href);
+  if (url.origin === window.location.origin && /\.json$/i.test(url.pathname)) return { id: requested, file: url.pathname + url.search, title: requested };
+  throw new Error(`Unknown scenario "${requested}". Choose one of: ${library.map((item) => item.id).join(', ')}.`);
+}
+
+export async function fetchScenario(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) {
+    throw new Error(`Failed to load ${url}`);
+  }
+  return resp.json();
+}
+
+export function fetchTimeSeries(scenario, scenarioUrl = window.location.href) {
+  const base = new URL(scenarioUrl, window.location.href);
+  return resolveTimeSeries(scenario, async (source) => {
+    const resp = await fetch(new URL(source, base));
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return resp.text();
+  });
+}
+
+export function prepareScenario(raw) {
+  const { scenario, applied } = migrateScenario(raw);
+  return { scenario, applied, errors: validateScenario(scenario) };
+}
+
+export function describeErrors(errors) {
+  return errors.map((error) => `${error.path}: ${error.message}`).join(', ');
+}
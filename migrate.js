@@ -0,0 +1,37 @@
+import { SCHEMA_VERSION } from './schema.js';
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'single battery moved into the storage list',
+    migrate(scenario) {
+      if (scenario.storage === undefined) {
+        scenario.storage = scenario.battery ? [{ id: 'battery', name: 'Battery', type: 'li-ion', ...scenario.battery }] : [];
+      }
+      delete scenario.battery;
+    }
+  }
+];
+
+export function scenarioVersion(data) {
+  return data?.schemaVersion ?? 1;
+}
+
+export function migrateScenario(data) {
+  const scenario = JSON.parse(JSON.stringify(data));
+  const fromVersion = scenarioVersion(scenario);
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error(`Unknown scenario schemaVersion "${fromVersion}".`);
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Scenario schemaVersion ${fromVersion} is newer than this build supports (${SCHEMA_VERSION}).`);
+  }
+  const applied = [];
+  MIGRATIONS.filter((migration) => migration.version > fromVersion).forEach((migration) => {
+    migration.migrate(scenario);
+    scenario.schemaVersion = migration.version;
+    applied.push(`v${migration.version}: ${migration.description}`);
+  });
+  scenario.schemaVersion = SCHEMA_VERSION;
+  return { scenario, fromVersion, applied };
+}
@@ -0,0 +1,154 @@
+import { SimulationEngine } from './engine.js';
+
+export const STUDY_METRICS = [
+  { id: 'unmet', label: 'Unmet load', unit: 'MWh' },
+  { id: 'cost', label: 'Operating cost', unit: '$' },
+  { id: 'sheddingCost', label: 'Lost load value', unit: '$' },
+  { id: 'emissions', label: 'Emissions', unit: 'tCO₂' },
+  { id: 'score', label: 'Total score', unit: '' },
+  { id: 'congestionHours', label: 'Congestion hours', unit: 'h' }
+];
+export const STUDY_PERCENTILES = [5, 10, 50, 90, 95];
+const HISTOGRAM_BINS = 20;
+const SHED_TOLERANCE = 1e-6;
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+export function histogram(values, bins = HISTOGRAM_BINS) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = max > min ? (max - min) / bins : 1;
+  const counts = new Array(max > min ? bins : 1).fill(0);
+  values.forEach((value) => {
+    counts[Math.min(counts.length - 1, Math.floor((value - min) / width))] += 1;
+  });
+  return { min, max, width, counts };
+}
+
+export function runSeed(scenario, seed, { contract, actions = [], strategy = null } = {}) {
+  const seeded = clone(scenario);
+  seeded.meta.seed = seed;
+  const engine = new SimulationEngine(seeded, { headless: true });
+  const score = engine.runHeadless({ contract, actions, strategy });
+  const { kpis, tickLog } = engine.state;
+  let shedTicks = 0;
+  let previousUnmet = 0;
+  tickLog.forEach((entry) => {
+    if (entry.kpis.unmet > previousUnmet + SHED_TOLERANCE) shedTicks += 1;
+    previousUnmet = entry.kpis.unmet;
+  });
+  return {
+    seed,
+    unmet: kpis.unmet,
+    cost: kpis.fuelExpense + kpis.vomExpense + kpis.startupExpense + kpis.noLoadExpense + kpis.degradationCost + kpis.demandResponseCost,
+    sheddingCost: kpis.sheddingCost,
+    emissions: kpis.emissions,
+    score: score.total,
+    reliability: score.reliability,
+    costScore: score.costScore,
+    emissionsScore: score.emissionsScore,
+    congestionHours: kpis.congestedTicks * engine.tickHours,
+    shedTicks,
+    ticks: tickLog.length,
+    tickHours: engine.tickHours
+  };
+}
+
+export function summarizeStudy(runs) {
+  const metrics = {};
+  STUDY_METRICS.forEach(({ id }) => {
+    const values = runs.map((run) => run[id]).sort((a, b) => a - b);
+    metrics[id] = {
+      mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+      min: values[0],
+      max: values[values.length - 1],
+      percentiles: Object.fromEntries(STUDY_PERCENTILES.map((p) => [`p${p}`, percentile(values, p)])),
+      histogram: histogram(values)
+    };
+  });
+  const totalTicks = runs.reduce((sum, run) => sum + run.ticks, 0);
+  const shedTicks = runs.reduce((sum, run) => sum + run.shedTicks, 0);
+  return {
+    runCount: runs.length,
+    metrics,
+    expectedUnservedEnergy: metrics.unmet.mean,
+    lossOfLoadProbability: shedTicks / Math.max(1, totalTicks),
+    lossOfLoadHours: (shedTicks * (runs[0]?.tickHours ?? 0)) / Math.max(1, runs.length),
+    runsWithShedding: runs.filter((run) => run.shedTicks > 0).length / Math.max(1, runs.length),
+    runs
+  };
+}
+
+export async function runStudy(scenario, { runs = 100, startSeed = scenario.meta.seed, contract, actions = [], strategy = null, onProgress, signal } = {}) {
+  const results = [];
+  for (let idx = 0; idx < runs; idx++) {
+    if (signal?.aborted) break;
+    results.push(runSeed(scenario, startSeed + idx, { contract, actions, strategy }));
+    onProgress?.(results.length, runs);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  if (!results.length) throw new Error('The study was cancelled before any run finished.');
+  return summarizeStudy(results);
+}
+
+export async function runLeaderboard(scenario, strategies, { runs = 20, startSeed = scenario.meta.seed, onProgress, signal } = {}) {
+  const results = strategies.map(() => []);
+  const total = runs * strategies.length;
+  for (let idx = 0; idx < runs && !signal?.aborted; idx++) {
+    for (let slot = 0; slot < strategies.length; slot++) {
+      results[slot].push(runSeed(scenario, startSeed + idx, { strategy: strategies[slot] }));
+      onProgress?.(idx * strategies.length + slot + 1, total);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+  const seeds = Math.min(...results.map((list) => list.length));
+  if (!seeds) throw new Error('The leaderboard was cancelled before any seed finished.');
+  const wins = strategies.map(() => 0);
+  for (let idx = 0; idx < seeds; idx++) {
+    const best = Math.max(...results.map((list) => list[idx].score));
+    results.forEach((list, slot) => {
+      if (list[idx].score === best) wins[slot] += 1;
+    });
+  }
+  const mean = (list, key) => list.slice(0, seeds).reduce((sum, run) => sum + run[key], 0) / seeds;
+  const rows = strategies.map((strategy, slot) => {
+    const scores = results[slot].slice(0, seeds).map((run) => run.score).sort((a, b) => a - b);
+    return {
+      id: strategy.id,
+      name: strategy.name,
+      meanScore: mean(results[slot], 'score'),
+      p10Score: percentile(scores, 10),
+      p50Score: percentile(scores, 50),
+      p90Score: percentile(scores, 90),
+      reliability: mean(results[slot], 'reliability'),
+      costScore: mean(results[slot], 'costScore'),
+      emissionsScore: mean(results[slot], 'emissionsScore'),
+      unmet: mean(results[slot], 'unmet'),
+      wins: wins[slot],
+      runs: results[slot].slice(0, seeds)
+    };
+  });
+  rows.sort((a, b) => b.meanScore - a.meanScore);
+  return { startSeed, seeds, rows };
+}
+
+export function leaderboardCsv(leaderboard) {
+  const columns = ['rank', 'id', 'name', 'meanScore', 'p10Score', 'p50Score', 'p90Score', 'reliability', 'costScore', 'emissionsScore', 'unmet', 'wins'];
+  const rows = leaderboard.rows.map((row, idx) => columns.map((column) => (column === 'rank' ? idx + 1 : row[column])).join(','));
+  return `${columns.join(',')}\n${rows.join('\n')}\n`;
+}
+
+export function studyCsv(study) {
+  const columns = ['seed', ...STUDY_METRICS.map(({ id }) => id), 'shedTicks', 'ticks'];
+  return `${columns.join(',')}\n${study.runs.map((run) => columns.map((column) => run[column]).join(',')).join('\n')}\n`;
+}
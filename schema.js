@@ -0,0 +1,293 @@
+export const SCHEMA_VERSION = 2;
+
+const nonNegative = { type: 'number', minimum: 0 };
+const positive = { type: 'number', exclusiveMinimum: 0 };
+const fraction = { type: 'number', minimum: 0, maximum: 1 };
+const id = { type: 'string', minLength: 1 };
+const dateTime = { type: 'string', format: 'date-time' };
+const latitude = { type: 'number', minimum: -90, maximum: 90 };
+const longitude = { type: 'number', minimum: -180, maximum: 180 };
+const hourRange = { type: 'array', prefixItems: [nonNegative, nonNegative], minItems: 2, maxItems: 2 };
+const seriesProperties = {
+  source: { type: 'string', minLength: 1 },
+  format: { enum: ['csv', 'json'] },
+  timeColumn: { type: 'string', minLength: 1 },
+  column: { type: 'string', minLength: 1 },
+  scale: { type: 'number' },
+  points: {
+    type: 'array',
+    items: { type: 'array', prefixItems: [{ type: ['string', 'number'] }, { type: 'number' }], minItems: 2, maxItems: 2 }
+  }
+};
+
+export const scenarioSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'scenario.schema.json',
+  title: 'Power Grid Tycoon scenario',
+  type: 'object',
+  required: ['schemaVersion', 'meta', 'clock', 'zones', 'transmission', 'weather', 'thermalUnits', 'renewables', 'storage'],
+  properties: {
+    $schema: { type: 'string' },
+    schemaVersion: { type: 'integer', const: SCHEMA_VERSION },
+    meta: {
+      type: 'object',
+      required: ['region', 'seed', 'reservePercent', 'priceCap', 'dayAheadDefaultPrice', 'scoreWeights'],
+      properties: {
+        region: { type: 'string', minLength: 1 },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        objectives: { type: 'array', items: { type: 'string', minLength: 1 } },
+        seed: { type: 'integer', minimum: 0 },
+        reservePercent: { type: 'number', minimum: 0, maximum: 100 },
+        priceCap: positive,
+        dayAheadDefaultPrice: nonNegative,
+        rotationHours: positive,
+        referenceZone: id,
+        security: {
+          type: 'object',
+          properties: {
+            constrained: { type: 'boolean' },
+            emergencyRating: { type: 'number', minimum: 1 },
+            violationCost: positive
+          }
+        },
+        scoreWeights: {
+          type: 'object',
+          required: ['reliability', 'cost', 'emissions'],
+          properties: { reliability: fraction, cost: fraction, emissions: fraction }
+        }
+      }
+    },
+    clock: {
+      type: 'object',
+      required: ['start', 'durationHours', 'tickMinutes'],
+      properties: {
+        start: dateTime,
+        durationHours: positive,
+        tickMinutes: { type: 'integer', minimum: 1, maximum: 60 }
+      }
+    },
+    zones: { type: 'array', minItems: 1, items: { $ref: '#/$defs/zone' } },
+    transmission: { type: 'array', items: { $ref: '#/$defs/link' } },
+    reserves: { type: 'array', items: { $ref: '#/$defs/reserveProduct' } },
+    calendar: {
+      type: 'object',
+      properties: {
+        holidays: { type: 'array', items: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' } },
+        profiles: {
+          type: 'object',
+          properties: {
+            weekday: { $ref: '#/$defs/loadProfile' },
+            weekend: { $ref: '#/$defs/loadProfile' },
+            holiday: { $ref: '#/$defs/loadProfile' }
+          }
+        }
+      }
+    },
+    weather: {
+      type: 'object',
+      required: ['temperature', 'wind', 'solar'],
+      properties: {
+        temperature: { type: 'object', required: ['base', 'amplitude'], properties: { base: { type: 'number' }, amplitude: nonNegative } },
+        wind: {
+          type: 'object',
+          required: ['mean', 'variance'],
+          properties: { mean: nonNegative, variance: nonNegative, referenceHeight: positive, shearExponent: { type: 'number', minimum: 0, maximum: 1 }, correlationLength: positive }
+        },
+        solar: {
+          type: 'object',
+          required: ['peak'],
+          properties: { peak: fraction, latitude, longitude, cloudCover: fraction, cloudVariability: nonNegative, cloudPersistenceHours: positive }
+        }
+      }
+    },
+    thermalUnits: { type: 'array', minItems: 1, items: { $ref: '#/$defs/thermalUnit' } },
+    renewables: {
+      type: 'object',
+      required: ['solar', 'wind'],
+      properties: {
+        solar: { type: 'array', items: { $ref: '#/$defs/solarPlant' } },
+        wind: { type: 'array', items: { $ref: '#/$defs/windPlant' } }
+      }
+    },
+    storage: { type: 'array', items: { $ref: '#/$defs/storageAsset' } },
+    demandResponse: { type: 'array', items: { $ref: '#/$defs/demandResponseProgram' } },
+    timeSeries: {
+      type: 'object',
+      properties: {
+        temperature: { $ref: '#/$defs/series' },
+        wind: { $ref: '#/$defs/series' },
+        solar: { $ref: '#/$defs/series' },
+        load: { type: 'array', items: { $ref: '#/$defs/zoneSeries' } }
+      }
+    }
+  },
+  $defs: {
+    zone: {
+      type: 'object',
+      required: ['id', 'name', 'baseLoad', 'tempSensitivity'],
+      properties: {
+        id,
+        name: { type: 'string' },
+        baseLoad: nonNegative,
+        tempSensitivity: { type: 'number' },
+        latitude,
+        longitude,
+        position: { type: 'object', required: ['x', 'y'], properties: { x: fraction, y: fraction } },
+        customerClasses: { type: 'array', minItems: 1, items: { $ref: '#/$defs/customerClass' } }
+      }
+    },
+    customerClass: {
+      type: 'object',
+      required: ['id', 'share'],
+      properties: {
+        id: { enum: ['critical', 'residential', 'commercial', 'industrial'] },
+        share: fraction,
+        voll: positive,
+        blocks: { type: 'integer', minimum: 1 }
+      }
+    },
+    link: {
+      type: 'object',
+      required: ['id', 'from', 'to', 'limit'],
+      properties: {
+        id,
+        name: { type: 'string' },
+        from: id,
+        to: id,
+        limit: nonNegative,
+        reactance: positive,
+        lossFactor: { type: 'number', minimum: 0, maximum: 0.5 },
+        poissonRate: nonNegative,
+        repairHours: hourRange,
+        dynamicRating: {
+          type: 'object',
+          properties: {
+            referenceTemp: { type: 'number' },
+            tempCoefficient: { type: 'number' },
+            referenceWind: nonNegative,
+            windCoefficient: { type: 'number' },
+            min: positive,
+            max: positive
+          }
+        },
+        maintenance: {
+          type: 'array',
+          items: { type: 'object', required: ['start', 'hours'], properties: { start: dateTime, hours: positive } }
+        }
+      }
+    },
+    reserveProduct: {
+      type: 'object',
+      required: ['id', 'type', 'percent'],
+      properties: {
+        id,
+        name: { type: 'string' },
+        type: { enum: ['spinning', 'nonSpinning'] },
+        scope: { enum: ['zone', 'system'] },
+        percent: { type: 'number', minimum: 0, maximum: 100 },
+        storageSustainHours: positive,
+        maxStartHours: nonNegative,
+        demandCurve: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'array', prefixItems: [{ type: 'number', exclusiveMinimum: 0, maximum: 1 }, nonNegative], minItems: 2, maxItems: 2 }
+        }
+      }
+    },
+    loadProfile: {
+      type: 'object',
+      properties: { scale: nonNegative, amplitude: nonNegative }
+    },
+    thermalUnit: {
+      type: 'object',
+      required: ['id', 'zone', 'name', 'pmin', 'pmax', 'ramp', 'heatRate', 'vom', 'fuelPrice', 'emissions', 'reserveCap', 'poissonRate', 'repairHours'],
+      properties: {
+        id,
+        zone: id,
+        name: { type: 'string' },
+        pmin: nonNegative,
+        pmax: positive,
+        ramp: positive,
+        heatRate: positive,
+        vom: nonNegative,
+        fuelPrice: nonNegative,
+        emissions: nonNegative,
+        reserveCap: nonNegative,
+        poissonRate: nonNegative,
+        startupCost: { type: 'object', properties: { hot: nonNegative, warm: nonNegative, cold: nonNegative } },
+        startupStateHours: { type: 'object', properties: { hot: nonNegative, warm: nonNegative } },
+        minUpHours: nonNegative,
+        minDownHours: nonNegative,
+        startupLeadHours: nonNegative,
+        noLoadCost: nonNegative,
+        initialOfflineHours: nonNegative,
+        repairHours: hourRange
+      }
+    },
+    solarPlant: {
+      type: 'object',
+      required: ['id', 'zone', 'pmax'],
+      properties: { id, zone: id, name: { type: 'string' }, pmax: nonNegative, curtailmentCost: { type: 'number' } }
+    },
+    windPlant: {
+      type: 'object',
+      required: ['id', 'zone', 'pmax'],
+      properties: {
+        id,
+        zone: id,
+        name: { type: 'string' },
+        pmax: nonNegative,
+        curtailmentCost: { type: 'number' },
+        hubHeight: positive,
+        cutIn: nonNegative,
+        ratedSpeed: positive,
+        cutOut: positive,
+        powerCurve: {
+          type: 'array',
+          minItems: 2,
+          items: { type: 'array', prefixItems: [nonNegative, fraction], minItems: 2, maxItems: 2 }
+        }
+      }
+    },
+    series: { type: 'object', properties: seriesProperties },
+    zoneSeries: { type: 'object', required: ['zone'], properties: { zone: id, ...seriesProperties } },
+    storageAsset: {
+      type: 'object',
+      required: ['id', 'zone', 'power', 'durationHours'],
+      properties: {
+        id,
+        type: { enum: ['li-ion', 'pumped-hydro', 'flow'] },
+        zone: id,
+        name: { type: 'string' },
+        power: positive,
+        durationHours: positive,
+        roundTripEff: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+        initialSoc: fraction,
+        targetSoc: fraction,
+        replacementCostPerMWh: nonNegative,
+        cycleLife: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'array', prefixItems: [{ type: 'number', exclusiveMinimum: 0, maximum: 1 }, positive], minItems: 2, maxItems: 2 }
+        }
+      }
+    },
+    demandResponseProgram: {
+      type: 'object',
+      required: ['id', 'zone', 'capacity', 'price', 'maxDurationHours'],
+      properties: {
+        id,
+        zone: id,
+        name: { type: 'string' },
+        capacity: positive,
+        price: nonNegative,
+        noticeHours: nonNegative,
+        maxDurationHours: positive,
+        reboundFraction: { type: 'number', minimum: 0, maximum: 2 },
+        reboundHours: positive,
+        dispatch: { enum: ['manual', 'economic'] }
+      }
+    }
+  }
+};
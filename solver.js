@@ -0,0 +1,206 @@
+const EPSILON = 1e-9;
+const MAX_ITERATIONS = 20000;
+
+export class LinearProgram {
+  constructor() {
+    this.variables = [];
+    this.constraints = [];
+  }
+
+  addVariable({ cost = 0, lower = 0, upper = Infinity, name = '' } = {}) {
+    this.variables.push({ cost, lower, upper, name });
+    return this.variables.length - 1;
+  }
+
+  addConstraint(coefficients, type, rhs, name = '') {
+    if (!['<=', '>=', '='].includes(type)) throw new Error(`Unknown constraint type ${type}`);
+    const terms = Object.entries(coefficients)
+      .map(([index, coef]) => [Number(index), coef])
+      .filter(([, coef]) => coef !== 0);
+    this.constraints.push({ terms, type, rhs, name });
+    return this.constraints.length - 1;
+  }
+
+  solve() {
+    const columns = [];
+    const rows = [];
+
+    // Map each variable onto non-negative columns: x = lower + x', x = upper - x' or x = x+ - x-.
+    const mapping = this.variables.map((variable) => {
+      if (Number.isFinite(variable.lower)) {
+        const col = columns.push({ cost: variable.cost }) - 1;
+        return { kind: 'lower', col, offset: variable.lower };
+      }
+      if (Number.isFinite(variable.upper)) {
+        const col = columns.push({ cost: -variable.cost }) - 1;
+        return { kind: 'upper', col, offset: variable.upper };
+      }
+      const plus = columns.push({ cost: variable.cost }) - 1;
+      const minus = columns.push({ cost: -variable.cost }) - 1;
+      return { kind: 'free', col: plus, minus, offset: 0 };
+    });
+
+    const expand = (terms) => {
+      const expanded = [];
+      let shift = 0;
+      terms.forEach(([index, coef]) => {
+        const map = mapping[index];
+        if (map.kind === 'lower') {
+          expanded.push([map.col, coef]);
+          shift += coef * map.offset;
+        } else if (map.kind === 'upper') {
+          expanded.push([map.col, -coef]);
+          shift += coef * map.offset;
+        } else {
+          expanded.push([map.col, coef], [map.minus, -coef]);
+        }
+      });
+      return { expanded, shift };
+    };
+
+    this.constraints.forEach((constraint) => {
+      const { expanded, shift } = expand(constraint.terms);
+      rows.push({ terms: expanded, type: constraint.type, rhs: constraint.rhs - shift });
+    });
+    this.variables.forEach((variable, index) => {
+      const map = mapping[index];
+      if (map.kind === 'lower' && Number.isFinite(variable.upper)) {
+        rows.push({ terms: [[map.col, 1]], type: '<=', rhs: variable.upper - variable.lower });
+      }
+    });
+
+    const structural = columns.length;
+    const m = rows.length;
+    const sign = new Array(m).fill(1);
+    const identityCol = new Array(m);
+    const artificial = [];
+    let colCount = structural;
+    rows.forEach((row, i) => {
+      if (row.rhs < 0) {
+        sign[i] = -1;
+        row.rhs = -row.rhs;
+        row.terms = row.terms.map(([col, coef]) => [col, -coef]);
+        if (row.type === '<=') row.type = '>=';
+        else if (row.type === '>=') row.type = '<=';
+      }
+      if (row.type !== '=') {
+        row.slack = colCount++;
+        row.slackCoef = row.type === '<=' ? 1 : -1;
+      }
+    });
+    rows.forEach((row, i) => {
+      if (row.slackCoef === 1) {
+        identityCol[i] = row.slack;
+      } else {
+        identityCol[i] = colCount++;
+        artificial.push(identityCol[i]);
+      }
+    });
+
+    const width = colCount + 1;
+    const tableau = rows.map((row, i) => {
+      const line = new Float64Array(width);
+      row.terms.forEach(([col, coef]) => {
+        line[col] += coef;
+      });
+      if (row.slack !== undefined) line[row.slack] = row.slackCoef;
+      line[identityCol[i]] = 1;
+      line[colCount] = row.rhs;
+      return line;
+    });
+    const basis = identityCol.slice();
+    const isArtificial = new Uint8Array(colCount);
+    artificial.forEach((col) => {
+      isArtificial[col] = 1;
+    });
+
+    const phaseTwoCost = new Float64Array(colCount);
+    columns.forEach((column, col) => {
+      phaseTwoCost[col] = column.cost;
+    });
+    const phaseOneCost = new Float64Array(colCount);
+    artificial.forEach((col) => {
+      phaseOneCost[col] = 1;
+    });
+
+    const pivot = (r, c) => {
+      const pivotRow = tableau[r];
+      const factor = pivotRow[c];
+      for (let j = 0; j < width; j++) pivotRow[j] /= factor;
+      for (let i = 0; i < m; i++) {
+        if (i === r) continue;
+        const row = tableau[i];
+        const coef = row[c];
+        if (Math.abs(coef) < EPSILON) continue;
+        for (let j = 0; j < width; j++) row[j] -= coef * pivotRow[j];
+      }
+      basis[r] = c;
+    };
+
+    let iterations = 0;
+    const runPhase = (cost, allowArtificial) => {
+      while (iterations++ < MAX_ITERATIONS) {
+        let entering = -1;
+        for (let j = 0; j < colCount; j++) {
+          if (!allowArtificial && isArtificial[j]) continue;
+          let reduced = cost[j];
+          for (let i = 0; i < m; i++) reduced -= cost[basis[i]] * tableau[i][j];
+          if (reduced < -EPSILON) {
+            entering = j;
+            break;
+          }
+        }
+        if (entering < 0) return 'optimal';
+        let leaving = -1;
+        let bestRatio = Infinity;
+        for (let i = 0; i < m; i++) {
+          const coef = tableau[i][entering];
+          if (coef <= EPSILON) continue;
+          const ratio = tableau[i][colCount] / coef;
+          if (ratio < bestRatio - EPSILON || (Math.abs(ratio - bestRatio) <= EPSILON && basis[i] < basis[leaving])) {
+            bestRatio = ratio;
+            leaving = i;
+          }
+        }
+        if (leaving < 0) return 'unbounded';
+        pivot(leaving, entering);
+      }
+      return 'iteration_limit';
+    };
+
+    if (artificial.length) {
+      const status = runPhase(phaseOneCost, true);
+      if (status !== 'optimal') return { status, values: [], duals: [], objective: NaN };
+      const infeasibility = basis.reduce((sum, col, i) => sum + (isArtificial[col] ? tableau[i][colCount] : 0), 0);
+      if (infeasibility > 1e-6) return { status: 'infeasible', values: [], duals: [], objective: NaN };
+      basis.forEach((col, i) => {
+        if (!isArtificial[col]) return;
+        for (let j = 0; j < colCount; j++) {
+          if (!isArtificial[j] && Math.abs(tableau[i][j]) > EPSILON) {
+            pivot(i, j);
+            return;
+          }
+        }
+      });
+    }
+    const status = runPhase(phaseTwoCost, false);
+    if (status !== 'optimal') return { status, values: [], duals: [], objective: NaN };
+
+    const columnValues = new Float64Array(colCount);
+    basis.forEach((col, i) => {
+      columnValues[col] = tableau[i][colCount];
+    });
+    const values = mapping.map((map) => {
+      if (map.kind === 'lower') return map.offset + columnValues[map.col];
+      if (map.kind === 'upper') return map.offset - columnValues[map.col];
+      return columnValues[map.col] - columnValues[map.minus];
+    });
+    const duals = this.constraints.map((constraint, i) => {
+      let dual = 0;
+      for (let k = 0; k < m; k++) dual += phaseTwoCost[basis[k]] * tableau[k][identityCol[i]];
+      return dual * sign[i];
+    });
+    const objective = this.variables.reduce((sum, variable, index) => sum + variable.cost * values[index], 0);
+    return { status: 'optimal', values, duals, objective };
+  }
+}
@@ -0,0 +1,217 @@
+import { STUDY_METRICS, STUDY_PERCENTILES, leaderboardCsv, runLeaderboard, runStudy, studyCsv } from './montecarlo.js';
+import { AGENTS } from './agents.js';
+import { $, createEl, downloadFile } from './dom.js';
+
+const STRATEGIES = [
+  { id: 'contract', label: 'Day-ahead contract only' },
+  { id: 'replay', label: 'Replay my actions' }
+];
+
+function formatValue(value, unit) {
+  if (unit === '$') return `$${value.toFixed(0)}`;
+  if (!unit) return value.toFixed(3);
+  return value.toFixed(1);
+}
+
+export class StudyPanel {
+  constructor({ getContext }) {
+    this.getContext = getContext;
+    this.root = $('#study');
+    this.statusEl = $('#study-status');
+    this.study = null;
+    this.leaderboard = null;
+    this.controller = null;
+    this.bindControls();
+  }
+
+  toggle() {
+    this.root.classList.toggle('hidden');
+    if (!this.root.classList.contains('hidden') && !$('#study-start-seed').value) {
+      $('#study-start-seed').value = this.getContext().scenario.meta.seed;
+    }
+  }
+
+  bindControls() {
+    const select = $('#study-strategy');
+    [...STRATEGIES, ...AGENTS.map((agent) => ({ id: agent.id, label: `Agent: ${agent.name}` }))].forEach(({ id, label }) => {
+      const option = createEl('option', { text: label });
+      option.value = id;
+      select.appendChild(option);
+    });
+    $('#study-run').addEventListener('click', () => this.run());
+    $('#study-leaderboard').addEventListener('click', () => this.runLeaderboard());
+    $('#study-cancel').addEventListener('click', () => this.controller?.abort());
+    $('#study-export-json').addEventListener('click', () => {
+      downloadFile(`study-${this.study.startSeed}-${this.study.runCount}.json`, JSON.stringify(this.study, null, 2), 'application/json');
+    });
+    $('#study-export-csv').addEventListener('click', () => {
+      downloadFile(`study-${this.study.startSeed}-${this.study.runCount}.csv`, studyCsv(this.study), 'text/csv');
+    });
+    $('#study-export-leaderboard').addEventListener('click', () => {
+      downloadFile(`leaderboard-${this.leaderboard.startSeed}-${this.leaderboard.seeds}.csv`, leaderboardCsv(this.leaderboard), 'text/csv');
+    });
+  }
+
+  seedRange(scenario) {
+    const runs = Number($('#study-runs').value);
+    const startSeed = $('#study-start-seed').value === '' ? scenario.meta.seed : Number($('#study-start-seed').value);
+    if (!Number.isInteger(runs) || runs < 1 || !Number.isInteger(startSeed) || startSeed < 0) {
+      this.statusEl.textContent = 'Runs must be a positive integer and the start seed a non-negative integer.';
+      return null;
+    }
+    return { runs, startSeed };
+  }
+
+  async run() {
+    const { scenario, contract, actions } = this.getContext();
+    const range = this.seedRange(scenario);
+    if (!range) return;
+    const { runs, startSeed } = range;
+    const strategy = $('#study-strategy').value;
+    const agent = AGENTS.find((candidate) => candidate.id === strategy) ?? null;
+    this.controller = new AbortController();
+    this.setRunning(true);
+    try {
+      const study = await runStudy(scenario, {
+        runs,
+        startSeed,
+        contract: agent ? undefined : contract,
+        actions: strategy === 'replay' ? actions : [],
+        strategy: agent,
+        signal: this.controller.signal,
+        onProgress: (done, total) => {
+          this.statusEl.textContent = `Running seed ${startSeed + done - 1} (${done}/${total})…`;
+        }
+      });
+      this.study = { scenario: scenario.meta.title ?? scenario.meta.region, strategy, startSeed, contract: agent ? null : contract, ...study };
+      this.statusEl.textContent = `${study.runCount} runs from seed ${startSeed}${study.runCount < runs ? ' (cancelled early)' : ''}.`;
+      this.render();
+    } catch (err) {
+      this.statusEl.textContent = err.message;
+    } finally {
+      this.controller = null;
+      this.setRunning(false);
+    }
+  }
+
+  async runLeaderboard() {
+    const { scenario } = this.getContext();
+    const range = this.seedRange(scenario);
+    if (!range) return;
+    this.controller = new AbortController();
+    this.setRunning(true);
+    try {
+      this.leaderboard = await runLeaderboard(scenario, AGENTS, {
+        ...range,
+        signal: this.controller.signal,
+        onProgress: (done, total) => {
+          this.statusEl.textContent = `Leaderboard run ${done}/${total}…`;
+        }
+      });
+      this.statusEl.textContent = `Leaderboard over seeds ${range.startSeed}–${range.startSeed + this.leaderboard.seeds - 1}.`;
+      this.renderLeaderboard();
+    } catch (err) {
+      this.statusEl.textContent = err.message;
+    } finally {
+      this.controller = null;
+      this.setRunning(false);
+    }
+  }
+
+  renderLeaderboard() {
+    const container = $('#study-leaderboard-table');
+    container.innerHTML = '';
+    const table = createEl('table', { className: 'comparison-table' });
+    table.appendChild(
+      createEl('tr', { html: '<th>Rank</th><th>Agent</th><th>Mean score</th><th>P10</th><th>P90</th><th>Reliability</th><th>Cost</th><th>Emissions</th><th>Wins</th>' })
+    );
+    const percent = (value) => `${(value * 100).toFixed(1)}%`;
+    this.leaderboard.rows.forEach((row, idx) => {
+      const tr = createEl('tr');
+      [
+        String(idx + 1),
+        row.name,
+        percent(row.meanScore),
+        percent(row.p10Score),
+        percent(row.p90Score),
+        percent(row.reliability),
+        percent(row.costScore),
+        percent(row.emissionsScore),
+        `${row.wins}/${this.leaderboard.seeds}`
+      ].forEach((text) => tr.appendChild(createEl('td', { text })));
+      table.appendChild(tr);
+    });
+    container.appendChild(createEl('h3', { text: 'Agent leaderboard' }));
+    container.appendChild(table);
+  }
+
+  setRunning(running) {
+    $('#study-run').disabled = running;
+    $('#study-leaderboard').disabled = running;
+    $('#study-export-leaderboard').disabled = running || !this.leaderboard;
+    $('#study-cancel').disabled = !running;
+    $('#study-export-json').disabled = running || !this.study;
+    $('#study-export-csv').disabled = running || !this.study;
+  }
+
+  render() {
+    const { study } = this;
+    const summary = $('#study-summary');
+    summary.innerHTML = '';
+    summary.appendChild(
+      createEl('p', {
+        text: `Expected unserved energy ${study.expectedUnservedEnergy.toFixed(1)} MWh per run · loss-of-load probability ${(study.lossOfLoadProbability * 100).toFixed(2)}% of ticks (${study.lossOfLoadHours.toFixed(1)} h per run) · ${(study.runsWithShedding * 100).toFixed(0)}% of runs shed load`
+      })
+    );
+    const table = createEl('table', { className: 'comparison-table' });
+    table.appendChild(createEl('tr', { html: `<th>Metric</th><th>Mean</th>${STUDY_PERCENTILES.map((p) => `<th>P${p}</th>`).join('')}` }));
+    STUDY_METRICS.forEach(({ id, label, unit }) => {
+      const metric = study.metrics[id];
+      const row = createEl('tr');
+      [label, formatValue(metric.mean, unit), ...STUDY_PERCENTILES.map((p) => formatValue(metric.percentiles[`p${p}`], unit))].forEach((text) =>
+        row.appendChild(createEl('td', { text }))
+      );
+      table.appendChild(row);
+    });
+    summary.appendChild(table);
+    const charts = $('#study-histograms');
+    charts.innerHTML = '';
+    STUDY_METRICS.forEach((metric) => {
+      const figure = createEl('figure');
+      const canvas = createEl('canvas');
+      canvas.width = 280;
+      canvas.height = 140;
+      figure.appendChild(canvas);
+      figure.appendChild(createEl('figcaption', { text: `${metric.label}${metric.unit ? ` (${metric.unit})` : ''}` }));
+      charts.appendChild(figure);
+      this.drawHistogram(canvas, study.metrics[metric.id], metric.unit);
+    });
+  }
+
+  drawHistogram(canvas, metric, unit) {
+    const ctx = canvas.getContext('2d');
+    const { counts, min, max } = metric.histogram;
+    const top = Math.max(...counts);
+    const plotHeight = canvas.height - 30;
+    const barWidth = canvas.width / counts.length;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#1b9aaa';
+    counts.forEach((count, idx) => {
+      const height = (count / top) * (plotHeight - 10);
+      ctx.fillRect(idx * barWidth + 1, plotHeight - height, barWidth - 2, height);
+    });
+    const xFor = (value) => (max > min ? ((value - min) / (max - min)) * canvas.width : canvas.width / 2);
+    ctx.strokeStyle = '#ef476f';
+    [metric.percentiles.p10, metric.percentiles.p50, metric.percentiles.p90].forEach((value) => {
+      ctx.beginPath();
+      ctx.moveTo(xFor(value), 0);
+      ctx.lineTo(xFor(value), plotHeight);
+      ctx.stroke();
+    });
+    ctx.fillStyle = '#666';
+    ctx.font = '11px sans-serif';
+    ctx.fillText(formatValue(min, unit), 2, canvas.height - 8);
+    const maxLabel = formatValue(max, unit);
+    ctx.fillText(maxLabel, canvas.width - ctx.measureText(maxLabel).width - 2, canvas.height - 8);
+  }
+}
@@ -0,0 +1,119 @@
+export const WEATHER_SERIES = ['temperature', 'wind', 'solar'];
+
+const LOCAL_TIMESTAMP = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?$/;
+const ZONED_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Timestamps without a zone are read as UTC, like the scenario clock, so resampling never depends on the machine's zone.
+function parseTime(value, startMs) {
+  if (typeof value === 'number') return startMs + value * 3600000;
+  const text = String(value).trim();
+  if (/^-?\d+(\.\d+)?$/.test(text)) return startMs + Number(text) * 3600000;
+  const local = text.match(LOCAL_TIMESTAMP);
+  let iso = null;
+  if (local) {
+    iso = `${local[1]}T${local[2] ?? '00:00'}Z`;
+  } else if (ZONED_TIMESTAMP.test(text)) {
+    iso = text.replace(' ', 'T').replace(/\s+/g, '');
+  }
+  const ms = iso === null ? NaN : Date.parse(iso);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function splitCsvLine(line) {
+  return line.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+function parseCsv(text, { timeColumn, column }) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.startsWith('#'));
+  if (!lines.length) return [];
+  const header = splitCsvLine(lines[0]);
+  const timeIdx = timeColumn ? header.indexOf(timeColumn) : 0;
+  const valueIdx = column ? header.indexOf(column) : header.findIndex((_, idx) => idx !== timeIdx);
+  if (timeIdx < 0) throw new Error(`has no "${timeColumn}" column`);
+  if (valueIdx < 0) throw new Error(column ? `has no "${column}" column` : 'needs a value column');
+  return lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line);
+    return [cells[timeIdx], cells[valueIdx]];
+  });
+}
+
+function parseJson(text, { timeColumn = 'time', column = 'value' }) {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data?.points;
+  if (!Array.isArray(rows)) throw new Error('must be a list of samples or an object with a "points" list');
+  return rows.map((row) => (Array.isArray(row) ? row : [row?.[timeColumn], row?.[column]]));
+}
+
+export function parseSeries(text, spec) {
+  const format = spec.format ?? (/\.json($|\?)/i.test(spec.source ?? '') ? 'json' : 'csv');
+  const rows = format === 'json' ? parseJson(text, spec) : parseCsv(text, spec);
+  return rows
+    .filter(([time, value]) => time !== undefined && time !== '' && value !== null && value !== '' && Number.isFinite(Number(value)))
+    .map(([time, value]) => [time, Number(value)]);
+}
+
+export function resampleSeries(points, { start, tickMinutes, totalTicks, scale = 1 }) {
+  const startMs = new Date(start).getTime();
+  const samples = points
+    .map(([time, value]) => ({ ms: parseTime(time, startMs), value: value * scale }))
+    .filter((sample) => sample.ms !== null && Number.isFinite(sample.value))
+    .sort((a, b) => a.ms - b.ms);
+  const values = new Array(totalTicks).fill(null);
+  if (!samples.length) return values;
+  const steps = samples.slice(1).map((sample, idx) => sample.ms - samples[idx].ms).sort((a, b) => a - b);
+  const resolution = steps.length ? steps[Math.floor(steps.length / 2)] : tickMinutes * 60000;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const tickMs = tickMinutes * 60000;
+  let cursor = 0;
+  for (let idx = 0; idx < totalTicks; idx++) {
+    const from = startMs + idx * tickMs;
+    const to = from + tickMs;
+    while (cursor < samples.length && samples[cursor].ms < from) cursor++;
+    let sum = 0;
+    let count = 0;
+    for (let probe = cursor; probe < samples.length && samples[probe].ms < to; probe++) {
+      sum += samples[probe].value;
+      count += 1;
+    }
+    if (count) {
+      values[idx] = sum / count;
+    } else if (from < first.ms) {
+      values[idx] = first.ms - from <= resolution ? first.value : null;
+    } else if (from > last.ms) {
+      values[idx] = from - last.ms <= resolution ? last.value : null;
+    } else {
+      const before = samples[cursor - 1];
+      const after = samples[cursor];
+      values[idx] = before.value + ((after.value - before.value) * (from - before.ms)) / (after.ms - before.ms);
+    }
+  }
+  return values;
+}
+
+export function seriesSpecs(scenario) {
+  const timeSeries = scenario.timeSeries ?? {};
+  return [
+    ...WEATHER_SERIES.filter((kind) => timeSeries[kind]).map((kind) => ({ label: kind, spec: timeSeries[kind] })),
+    ...(timeSeries.load ?? []).map((spec) => ({ label: `load ${spec.zone}`, spec }))
+  ];
+}
+
+export async function resolveTimeSeries(scenario, readText) {
+  for (const { label, spec } of seriesSpecs(scenario)) {
+    if (spec.points || !spec.source) continue;
+    let text;
+    try {
+      text = await readText(spec.source);
+    } catch (err) {
+      throw new Error(`The ${label} series could not be read from ${spec.source}: ${err.message}`);
+    }
+    try {
+      spec.points = parseSeries(text, spec);
+    } catch (err) {
+      throw new Error(`The ${label} series (${spec.source}) ${err instanceof SyntaxError ? 'is not valid JSON' : err.message}.`);
+    }
+    if (!spec.points.length) throw new Error(`The ${label} series (${spec.source}) has no numeric samples.`);
+  }
+  return scenario;
+}
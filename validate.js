@@ -0,0 +1,181 @@
+import { scenarioSchema } from './schema.js';
+import { WEATHER_SERIES } from './timeseries.js';
+
+const TYPE_NAMES = { number: 'a number', integer: 'a whole number', string: 'a string', boolean: 'true or false', array: 'a list', object: 'an object' };
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : Number.isFinite(value) ? 'number' : 'non-finite';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function resolveRef(schema, root) {
+  if (!schema.$ref) return schema;
+  const target = schema.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node?.[key], root);
+  if (!target) throw new Error(`Unresolvable schema reference ${schema.$ref}`);
+  return resolveRef(target, root);
+}
+
+function checkSchema(schema, value, path, root, errors) {
+  schema = resolveRef(schema, root);
+  const push = (keyword, message) => errors.push({ path, keyword, message });
+  if (schema.type && ![].concat(schema.type).some((type) => matchesType(value, type))) {
+    push('type', `must be ${[].concat(schema.type).map((type) => TYPE_NAMES[type]).join(' or ')}`);
+    return;
+  }
+  if ('const' in schema && value !== schema.const) push('const', `must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) push('enum', `must be one of ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) push('minimum', `must be ≥ ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) push('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) push('maximum', `must be ≤ ${schema.maximum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) push('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) push('minLength', value.length ? `must be at least ${schema.minLength} characters` : 'must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) push('pattern', `must match ${schema.pattern}`);
+    if (schema.format === 'date-time' && (!/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value)))) push('format', 'must be an ISO date-time');
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) push('minItems', schema.minItems === 1 ? 'needs at least one entry' : `needs at least ${schema.minItems} entries`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) push('maxItems', `allows at most ${schema.maxItems} entries`);
+    const prefix = schema.prefixItems || [];
+    value.forEach((item, idx) => {
+      const itemSchema = prefix[idx] ?? schema.items;
+      if (itemSchema) checkSchema(itemSchema, item, joinPath(path, idx), root, errors);
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: joinPath(path, key), keyword: 'required', message: 'is required' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) checkSchema(propertySchema, value[key], joinPath(path, key), root, errors);
+    });
+  }
+}
+
+export function validateAgainstSchema(data, schema = scenarioSchema) {
+  const errors = [];
+  checkSchema(schema, data, '', schema, errors);
+  return errors;
+}
+
+function checkUniqueIds(errors, path, items) {
+  const seen = new Set();
+  items.forEach((item, idx) => {
+    if (typeof item?.id !== 'string') return;
+    if (seen.has(item.id)) errors.push({ path: `${path}[${idx}].id`, keyword: 'uniqueId', message: `duplicates "${item.id}"` });
+    seen.add(item.id);
+  });
+}
+
+function checkZoneRef(errors, path, value, zoneIds) {
+  if (typeof value === 'string' && !zoneIds.has(value)) errors.push({ path, keyword: 'zoneRef', message: `must reference a zone id (got "${value}")` });
+}
+
+function list(value) {
+  return Array.isArray(value) ? value.filter((item) => typeOf(item) === 'object') : [];
+}
+
+function checkReferences(data, errors) {
+  const zones = list(data.zones);
+  const zoneIds = new Set(zones.map((zone) => zone.id));
+  checkUniqueIds(errors, 'zones', zones);
+  if (data.meta) checkZoneRef(errors, 'meta.referenceZone', data.meta.referenceZone, zoneIds);
+  if (typeof data.clock?.tickMinutes === 'number' && 60 % data.clock.tickMinutes !== 0) {
+    errors.push({ path: 'clock.tickMinutes', keyword: 'divisor', message: 'must divide 60' });
+  }
+
+  const links = list(data.transmission);
+  checkUniqueIds(errors, 'transmission', links);
+  links.forEach((link, idx) => {
+    checkZoneRef(errors, `transmission[${idx}].from`, link.from, zoneIds);
+    checkZoneRef(errors, `transmission[${idx}].to`, link.to, zoneIds);
+    if (link.from !== undefined && link.from === link.to) errors.push({ path: `transmission[${idx}].to`, keyword: 'distinct', message: 'must differ from "from"' });
+    if (link.repairHours?.[0] > link.repairHours?.[1]) errors.push({ path: `transmission[${idx}].repairHours`, keyword: 'range', message: 'must be [min, max] hours' });
+    if (link.dynamicRating?.min > link.dynamicRating?.max) errors.push({ path: `transmission[${idx}].dynamicRating.min`, keyword: 'range', message: 'must not exceed max' });
+  });
+
+  const units = list(data.thermalUnits);
+  checkUniqueIds(errors, 'thermalUnits', units);
+  units.forEach((unit, idx) => {
+    checkZoneRef(errors, `thermalUnits[${idx}].zone`, unit.zone, zoneIds);
+    if (unit.pmin > unit.pmax) errors.push({ path: `thermalUnits[${idx}].pmin`, keyword: 'range', message: 'must not exceed pmax' });
+    if (unit.repairHours?.[0] > unit.repairHours?.[1]) errors.push({ path: `thermalUnits[${idx}].repairHours`, keyword: 'range', message: 'must be [min, max] hours' });
+  });
+
+  ['solar', 'wind'].forEach((kind) => {
+    const plants = list(data.renewables?.[kind]);
+    checkUniqueIds(errors, `renewables.${kind}`, plants);
+    plants.forEach((plant, idx) => checkZoneRef(errors, `renewables.${kind}[${idx}].zone`, plant.zone, zoneIds));
+  });
+  const solarIds = new Set(list(data.renewables?.solar).map((plant) => plant.id));
+  list(data.renewables?.wind).forEach((plant, idx) => {
+    const path = `renewables.wind[${idx}]`;
+    if (solarIds.has(plant.id)) errors.push({ path: `${path}.id`, keyword: 'uniqueId', message: `duplicates solar plant "${plant.id}"` });
+    const { cutIn = 3, ratedSpeed = 12, cutOut = 25 } = plant;
+    if (!plant.powerCurve && !(cutIn < ratedSpeed && ratedSpeed < cutOut)) errors.push({ path, keyword: 'range', message: 'needs cutIn < ratedSpeed < cutOut' });
+  });
+
+  const storage = list(data.storage);
+  checkUniqueIds(errors, 'storage', storage);
+  storage.forEach((asset, idx) => checkZoneRef(errors, `storage[${idx}].zone`, asset.zone, zoneIds));
+
+  list(data.zones).forEach((zone, idx) => {
+    if (!Array.isArray(zone.customerClasses)) return;
+    const path = `zones[${idx}].customerClasses`;
+    checkUniqueIds(errors, path, zone.customerClasses);
+    const total = zone.customerClasses.reduce((sum, customerClass) => sum + (customerClass?.share || 0), 0);
+    if (Math.abs(total - 1) > 1e-6) errors.push({ path, keyword: 'sum', message: 'class shares must sum to 1' });
+  });
+
+  const programs = list(data.demandResponse);
+  checkUniqueIds(errors, 'demandResponse', programs);
+  programs.forEach((program, idx) => checkZoneRef(errors, `demandResponse[${idx}].zone`, program.zone, zoneIds));
+
+  const timeSeries = typeOf(data.timeSeries) === 'object' ? data.timeSeries : {};
+  const seriesEntries = [
+    ...WEATHER_SERIES.filter((kind) => typeOf(timeSeries[kind]) === 'object').map((kind) => [`timeSeries.${kind}`, timeSeries[kind]]),
+    ...list(timeSeries.load).map((spec, idx) => [`timeSeries.load[${idx}]`, spec])
+  ];
+  seriesEntries.forEach(([path, spec]) => {
+    if (spec.source === undefined && spec.points === undefined) errors.push({ path, keyword: 'source', message: 'needs a source file or inline points' });
+  });
+  const loadZones = new Set();
+  list(timeSeries.load).forEach((spec, idx) => {
+    checkZoneRef(errors, `timeSeries.load[${idx}].zone`, spec.zone, zoneIds);
+    if (loadZones.has(spec.zone)) errors.push({ path: `timeSeries.load[${idx}].zone`, keyword: 'uniqueZone', message: `duplicates "${spec.zone}"` });
+    loadZones.add(spec.zone);
+  });
+
+  checkUniqueIds(errors, 'reserves', list(data.reserves));
+  list(data.reserves).forEach((product, idx) => {
+    const total = (product.demandCurve || []).reduce((sum, segment) => sum + (segment?.[0] || 0), 0);
+    if (product.demandCurve && Math.abs(total - 1) > 1e-6) errors.push({ path: `reserves[${idx}].demandCurve`, keyword: 'sum', message: 'segment fractions must sum to 1' });
+  });
+}
+
+export function validateScenario(data) {
+  const errors = validateAgainstSchema(data);
+  if (typeOf(data) === 'object') checkReferences(data, errors);
+  return errors;
+}